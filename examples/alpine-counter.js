@@ -111,11 +111,8 @@ function renderFullPage() {
     <head>
       <meta charset="UTF-8">
       <title>AlpineJS + SSR + Alpine Morph Example</title>
-      <!-- Alpine Plugins -->
-      <script defer src="https://cdn.jsdelivr.net/npm/@alpinejs/morph@3.x.x/dist/cdn.min.js"></script>
-      
-      <!-- Alpine Core -->
-      <script defer src="https://cdn.jsdelivr.net/npm/alpinejs@3.x.x/dist/cdn.min.js"></script>
+      <!-- Alpine Morph plugin and Alpine core, served offline -->
+      ${ssr.vendorScripts('alpine-morph', 'alpine')}
       <style>
         body {
           font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
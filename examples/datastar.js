@@ -9,25 +9,17 @@ const ssr = createSSR({ debug: true });
 const appState = {
   counter: 0,
   lastUpdate: Date.now(),
-  activeConnections: 0,
 };
 
 /**
- * Helper function to broadcast updates to all connections
+ * Helper function to broadcast a fragment update to all connections
  */
-function broadcastToAllConnections(signalData, fragmentData = null) {
+function broadcastToAllConnections(fragmentData) {
   let count = 0;
 
   // Loop through all active SSE connections
   for (const connection of ssr.sseConnections) {
-    if (!connection.stream.destroyed) {
-      // Send signals update
-      connection.stream.write(signalData);
-
-      // Send fragment update if provided
-      if (fragmentData) {
-        connection.stream.write(fragmentData);
-      }
+    if (connection.write(fragmentData)) {
       count++;
     }
   }
@@ -83,11 +75,8 @@ app.whenReady().then(() => {
           Connection: 'keep-alive',
         });
 
-        // In Datastar, the response to a post action must be an SSE stream
-        // with at least one event, so we send the updated signal
-        const signalData = ssr.datastarMergeSignals({
-          counter: appState.counter,
-        });
+        // Every window gets the new counter through the signal store
+        ssr.signals.merge({ counter: appState.counter });
 
         // Create fragment update
         const fragmentData = ssr.datastarMergeFragments(
@@ -98,12 +87,12 @@ app.whenReady().then(() => {
           'inner',
         );
 
-        // Write to response stream
-        stream.write(signalData);
+        // In Datastar, the response to a post action must be an SSE stream
+        // with at least one event, so we send the fragment
         stream.write(fragmentData);
 
         // Also broadcast to all other connections
-        broadcastToAllConnections(signalData, fragmentData);
+        broadcastToAllConnections(fragmentData);
 
         // Return SSE response
         const webStream = Readable.toWeb(stream);
@@ -131,10 +120,8 @@ app.whenReady().then(() => {
           Connection: 'keep-alive',
         });
 
-        // Send the updated signal using proper format
-        const signalData = ssr.datastarMergeSignals({
-          counter: appState.counter,
-        });
+        // Every window gets the new counter through the signal store
+        ssr.signals.merge({ counter: appState.counter });
 
         // Create fragment update
         const fragmentData = ssr.datastarMergeFragments(
@@ -145,12 +132,12 @@ app.whenReady().then(() => {
           'inner',
         );
 
-        // Write to response stream
-        stream.write(signalData);
+        // In Datastar, the response to a post action must be an SSE stream
+        // with at least one event, so we send the fragment
         stream.write(fragmentData);
 
         // Also broadcast to all other connections
-        broadcastToAllConnections(signalData, fragmentData);
+        broadcastToAllConnections(fragmentData);
 
         // Return SSE response
         const webStream = Readable.toWeb(stream);
@@ -160,59 +147,26 @@ app.whenReady().then(() => {
     'POST',
   );
 
-  // Handle SSE updates
-  ssr.registerRoute('/updates', (request, url) => {
-    // For datastar, we need to use a specific format
-    const stream = new PassThrough();
-    const headers = new Headers({
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      Connection: 'keep-alive',
-    });
-
-    // Track connection count
-    appState.activeConnections++;
-    console.log(
-      `New connection. Active connections: ${appState.activeConnections}`,
-    );
+  // Update the time signal every second; windows only receive signals that changed
+  ssr.signals.merge({ counter: appState.counter, time: new Date().toLocaleTimeString(), connections: 0 });
+  setInterval(() => {
+    ssr.signals.merge({ time: new Date().toLocaleTimeString() });
+  }, 1000);
 
+  // Handle SSE updates - ssr.sse sets up the stream and tracks the connection
+  ssr.sse('/updates', (channel) => {
     // Send initial connection event with proper datastar format
-    stream.write(ssr.datastarConnected());
-
-    // Send initial signals
-    stream.write(
-      ssr.datastarMergeSignals({
-        counter: appState.counter,
-        time: new Date().toLocaleTimeString(),
-        connections: appState.activeConnections,
-      }),
-    );
-
-    // Update time every second
-    const interval = setInterval(() => {
-      const now = new Date().toLocaleTimeString();
-
-      // Use signal updates with proper datastar format
-      stream.write(
-        ssr.datastarMergeSignals({
-          time: now,
-        }),
-      );
-    }, 1000);
-
-    // Clean up on abort
-    request.signal.addEventListener('abort', () => {
-      clearInterval(interval);
-      appState.activeConnections--;
-      console.log(
-        `Connection closed. Active connections: ${appState.activeConnections}`,
-      );
-      stream.end();
-    });
+    channel.write(ssr.datastarConnected());
+
+    // The new window gets all signals, the others only the new connection count
+    ssr.signals.connect(channel);
+    ssr.signals.merge({ connections: ssr.signals.size });
+    console.log(`New connection. Active connections: ${ssr.signals.size}`);
 
-    // Return SSE response
-    const webStream = Readable.toWeb(stream);
-    return new Response(webStream, { headers });
+    channel.onClose(() => {
+      ssr.signals.merge({ connections: ssr.signals.size });
+      console.log(`Connection closed. Active connections: ${ssr.signals.size}`);
+    });
   });
 
   // Handle update message button
@@ -291,7 +245,7 @@ function renderBasicPage() {
     <head>
       <meta charset="UTF-8">
       <title>Datastar Example</title>
-      <script type="module" src="https://cdn.jsdelivr.net/gh/starfederation/datastar@v1.0.0-beta.11/bundles/datastar.js"></script>
+      ${ssr.vendorScripts('datastar')}
       <style>
         body {
           font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -372,7 +326,7 @@ function renderBasicPage() {
     <body data-signals='{"counter": ${
       appState.counter
     }, "time": "${new Date().toLocaleTimeString()}", "connections": ${
-    appState.activeConnections
+    ssr.signals.size
   }}'>
       <h1>Datastar in Electron</h1>
       
@@ -408,7 +362,7 @@ function renderBasicPage() {
         
         <p class="connections">
           Active connections: <span data-text="$connections">${
-            appState.activeConnections
+            ssr.signals.size
           }</span>
         </p>
       </div>
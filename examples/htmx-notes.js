@@ -1,5 +1,5 @@
 import { app, BrowserWindow, protocol, safeStorage } from 'electron';
-import { createSSR } from 'ssr-electron';
+import { createSSR, html } from 'ssr-electron';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -32,40 +32,27 @@ function createWindow() {
 
 app.whenReady().then(async () => {
   // Register route for the main page
-  ssr.registerRoute('/', (request, url) => {
-    return new Response(renderMainPage(), {
-      headers: {
-        'Content-Type': 'text/html',
-      },
-    });
-  });
+  ssr.registerRoute('/', () => renderMainPage());
 
   // Route to display notes
-  ssr.registerRoute('/notes', async (request, url) => {
+  ssr.registerRoute('/notes', async () => {
     try {
       const noteContent = await readNotes();
-      return new Response(renderNotesView(noteContent), {
-        headers: {
-          'Content-Type': 'text/html',
-        },
-      });
+      return renderNotesView(noteContent);
     } catch (error) {
       console.error('Error reading notes:', error);
-      return new Response(renderNotesView('', error.message), {
-        headers: {
-          'Content-Type': 'text/html',
-        },
-      });
+      return renderNotesView('', error.message);
     }
   });
 
   // Route to save notes
   ssr.registerRoute(
     '/save-note',
-    async (request, url) => {
+    async (request, url, ctx) => {
+      let noteContent = '';
       try {
         const formData = await request.formData();
-        const noteContent = formData.get('content');
+        noteContent = formData.get('content');
         await saveNotes(noteContent);
 
         // Broadcast to any connected clients that notes were updated
@@ -77,25 +64,12 @@ app.whenReady().then(async () => {
           }),
         );
 
-        return new Response(
-          renderNotesView(noteContent, null, 'Notes saved successfully!'),
-          {
-            headers: {
-              'Content-Type': 'text/html',
-            },
-          },
-        );
+        return renderNotesView(noteContent, null, 'Notes saved successfully!');
       } catch (error) {
         console.error('Error saving notes:', error);
-        return new Response(
-          renderNotesView(formData.get('content'), error.message),
-          {
-            headers: {
-              'Content-Type': 'text/html',
-            },
-            status: 500,
-          },
-        );
+        return ctx.html(renderNotesView(noteContent, error.message), {
+          status: 500,
+        });
       }
     },
     'POST',
@@ -139,13 +113,13 @@ async function saveNotes(content) {
 }
 
 function renderMainPage() {
-  return `
+  return html`
     <!DOCTYPE html>
     <html lang="en">
     <head>
       <meta charset="UTF-8">
       <title>ElectronSSR Notes Example</title>
-      <script src="https://unpkg.com/htmx.org@2.0.4" integrity="sha384-HGfztofotfshcF7+8n44JQL2oJmowVChPTg48S+jvZoztPfvwD79OC/LTtG6dMp+" crossorigin="anonymous"></script>
+      ${ssr.vendorScripts('htmx')}
       <style>
         body {
           font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -299,7 +273,8 @@ function renderNotesView(
   errorMessage = null,
   successMessage = null,
 ) {
-  return `
+  // html escapes the note content, so notes can safely contain markup
+  return html`
     <div class="container">
       <form hx-post="/save-note" hx-target="#notes-container">
         <textarea name="content" placeholder="Type your notes here...">${content}</textarea>
@@ -307,14 +282,12 @@ function renderNotesView(
           <button type="submit">Save Notes</button>
         </div>
         ${
-          successMessage
-            ? `<div class="success-message">${successMessage}</div>`
-            : ''
+          successMessage &&
+          html`<div class="success-message">${successMessage}</div>`
         }
         ${
-          errorMessage
-            ? `<div class="error-message">Error: ${errorMessage}</div>`
-            : ''
+          errorMessage &&
+          html`<div class="error-message">Error: ${errorMessage}</div>`
         }
       </form>
     </div>
@@ -4,7 +4,15 @@ import path from 'path';
 import { performance } from 'perf_hooks';
 
 // Create the SSR bridge instance - it automatically registers schemes and handlers
-const ssr = createSSR({ debug: true });
+// Slow windows keep only the newest state-update instead of buffering every frame,
+// and trackWindows tells which window each connection belongs to
+const ssr = createSSR({ debug: true, trackWindows: true, backpressure: { overflow: 'coalesce' } });
+
+ssr.onBackpressure(({ type, connection, queuedBytes }) => {
+  if (type !== 'recovered') {
+    console.warn(`Window ${connection.webContentsId} is behind (${type}), ${queuedBytes} bytes queued`);
+  }
+});
 
 // App state for tracking metrics
 const appState = {
@@ -87,7 +95,7 @@ function renderFullPage() {
       <meta charset="UTF-8">
       <title>High Performance SSR Example</title>
       <script src="https://unpkg.com/idiomorph@0.7.3"></script>
-      <script defer src="https://cdn.jsdelivr.net/npm/alpinejs@3.14.8/dist/cdn.min.js"></script>
+      ${ssr.vendorScripts('alpine')}
       <style>
         body {
           font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -336,10 +344,9 @@ app.whenReady().then(() => {
   // Frame counting
   let frameCount = 0;
   const FRAME_RATE = 60; // Target 60fps for updates
-  const FRAME_INTERVAL = 1000 / FRAME_RATE;
 
-  // Start sending frames
-  setInterval(() => {
+  // Render one frame of the page and update the performance metrics
+  const renderFrame = () => {
     // Measure frame time delta
     const now = performance.now();
     const frameDelta = now - lastFrameTime;
@@ -378,29 +385,15 @@ app.whenReady().then(() => {
       );
     }
 
-    // Format content for SSE - split by newlines and add data: prefix
-    const sseFormattedContent = mainContent
-      .split('\n')
-      .map((line) => `data: ${line}`)
-      .join('\n');
-
-    // Send content without an event name (will be handled by onmessage)
-    for (const connection of ssr.sseConnections) {
-      if (!connection.stream.destroyed) {
-        connection.stream.write(`${sseFormattedContent}\n\n`);
-
-        // Also send a state update with an event name
-        connection.stream.write(
-          `event: state-update\ndata: ${JSON.stringify(appState)}\n\n`,
-        );
+    return mainContent;
+  };
 
-        // Send a heartbeat every 30 frames to keep the connection alive
-        if (frameCount % 30 === 0) {
-          connection.stream.write(':\n\n'); // SSE comment as heartbeat
-        }
-      }
-    }
-  }, FRAME_INTERVAL);
+  // Send the content as a `message` (handled by onmessage) and the state as
+  // `state-update`, at most 60 times per second and in one write per window.
+  // Nothing is rendered while no window is connected, unchanged values are
+  // not sent again, and a busy window gets the newest frame once it catches up.
+  ssr.broadcastLatest('message', renderFrame, { fps: FRAME_RATE });
+  ssr.broadcastLatest('state-update', () => appState, { fps: FRAME_RATE });
 });
 
 app.on('window-all-closed', () => {
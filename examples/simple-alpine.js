@@ -91,7 +91,7 @@ function renderMainPage() {
     <head>
       <meta charset="UTF-8">
       <title>ElectronSSR Alpine Example</title>
-      <script defer src="https://cdn.jsdelivr.net/npm/alpinejs@3.14.8/dist/cdn.min.js"></script>
+      ${ssr.vendorScripts('alpine')}
       <style>
         body {
           font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
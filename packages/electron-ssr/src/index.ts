@@ -1,7 +1,21 @@
 import { ElectronSSR } from './main/ElectronSSR';
+import { Router } from './main/Router';
+import { oob } from './main/htmx';
+import { useLayout } from './main/layout';
+import { escapeHtml, html, raw, render, SafeHtml } from './main/html';
+import { createContext, useContext } from './main/jsx';
+import { defer } from './main/deferred';
+import { SSEChannel } from './main/sse';
+import { WEB_CONTENTS_HEADER, withWebContentsId } from './main/windows';
+import { SignalStore } from './main/signals';
 
-export { ElectronSSR };
+export { ElectronSSR, Router, oob, useLayout, html, raw, render, SafeHtml, escapeHtml, createContext, useContext, defer, SSEChannel, SignalStore, WEB_CONTENTS_HEADER, withWebContentsId };
+export type { HtmlContent, HtmlValue } from './main/html';
+export type { Component, Context, Props } from './main/jsx';
+export type { WindowTarget } from './main/windows';
+export type { Signals } from './main/signals';
 export * from './main/types';
+export * from './main/errors';
 
 /**
  * Factory function to create an ElectronSSR instance
@@ -12,5 +26,17 @@ export function createSSR(options = {}) {
 
 export default {
   ElectronSSR,
+  Router,
+  oob,
+  useLayout,
+  html,
+  raw,
+  SafeHtml,
+  escapeHtml,
+  render,
+  createContext,
+  useContext,
+  defer,
+  withWebContentsId,
   createSSR
 }; 
\ No newline at end of file
@@ -0,0 +1,12 @@
+import { Component, Fragment, jsx, JsxElement, Props } from './main/jsx';
+
+/**
+ * Development JSX runtime, used with `"jsx": "react-jsxdev"`. Renders the
+ * same markup as the production runtime.
+ */
+export function jsxDEV(type: string | Component<any> | typeof Fragment, props: Props, key?: string | number): JsxElement {
+  return jsx(type, props, key);
+}
+
+export { Fragment };
+export type { JSX } from './jsx-runtime';
@@ -0,0 +1,42 @@
+import { Component, Fragment, jsx, JsxElement } from './main/jsx';
+import { HtmlValue } from './main/html';
+
+/**
+ * JSX runtime, used by TypeScript and bundlers with
+ * `"jsx": "react-jsx"` and `"jsxImportSource": "ssr-electron"`
+ */
+export { jsx, jsx as jsxs, Fragment };
+
+export declare namespace JSX {
+  /** What JSX expressions evaluate to */
+  type Element = JsxElement;
+
+  /** Components may return any template value, or a promise of one */
+  type ElementType = string | Component<any> | typeof Fragment;
+
+  interface ElementChildrenAttribute {
+    children: {};
+  }
+
+  interface IntrinsicAttributes {
+    key?: string | number;
+  }
+
+  /**
+   * Attributes of HTML elements. Any attribute is allowed, so htmx (`hx-*`),
+   * Alpine (`x-*`, `@click`) and Datastar (`data-*`) attributes work as-is.
+   */
+  interface HtmlAttributes {
+    children?: HtmlValue;
+    class?: string;
+    className?: string;
+    id?: string;
+    style?: string | Record<string, string | number | null | undefined>;
+    dangerouslySetInnerHTML?: { __html: string };
+    [attribute: string]: unknown;
+  }
+
+  interface IntrinsicElements {
+    [tag: string]: HtmlAttributes;
+  }
+}
@@ -1,10 +1,59 @@
-import { Protocol, protocol as electronProtocol, app } from 'electron';
-import { PassThrough, Readable } from 'stream';
+import { Protocol, Session, protocol as electronProtocol, app, session as electronSession } from 'electron';
+import path from 'path';
 import {
+  ActionHandler,
+  BroadcastLatestOptions,
   ElectronSSROptions,
+  ErrorHandler,
+  Layout,
+  Middleware,
+  RequestContext,
   RouteHandler,
-  SSEConnection
+  RouteChangeOptions,
+  RouteHandlers,
+  RouteInfo,
+  OobFragment,
+  ResponseOptions,
+  RouteParams,
+  RouteResult,
+  SSEConnection,
+  SSEBackpressureEvent,
+  SSEHandler,
+  SSEStats,
+  StaticOptions,
+  VendorScript
 } from './types';
+import { CompiledPattern, compilePattern, comparePatterns, joinPaths, matchPattern } from './routeMatcher';
+import { ANY_METHOD, ResolvedRoute, Router } from './Router';
+import { compose, splitHandlers } from './middleware';
+import { loadRouteModules, routeShapeKey } from './loadRoutes';
+import { createStaticHandler, serveFile } from './staticFiles';
+import { HttpError, MethodNotAllowedError, NotFoundError } from './errors';
+import { renderErrorPage } from './errorPage';
+import { createContext } from './context';
+import { htmlResponse, streamResponse, withHeaders } from './responses';
+import { renderOob, renderOobFragment } from './htmx';
+import { applyLayouts } from './layout';
+import { DeferredCollector } from './deferred';
+import { formatEvent, normalizeTopic, SSEChannel, topicsFromUrl } from './sse';
+import { EventHistory } from './replay';
+import { LatestBroadcaster } from './latest';
+import { formatMergeSignals, formatRemoveSignals, SignalStore } from './signals';
+import { trackWebContents, webContentsIdOf, WindowTarget } from './windows';
+import { contentToString, HtmlContent, isHtmlContent, renderContent, SafeHtml } from './html';
+import { bundledVendorDir, VENDOR_PREFIX, VENDOR_SCRIPTS, vendorScriptTag } from './vendor';
+
+/**
+ * Methods reported in the `Allow` header, in this order
+ */
+const STANDARD_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+/**
+ * A route from the router tree, with its compiled pattern
+ */
+interface Route extends ResolvedRoute {
+  pattern: CompiledPattern;
+}
 
 /**
  * ElectronSSR - A bridge for SSR-like functionality in Electron using HTMX and SSE
@@ -12,8 +61,28 @@ import {
 export class ElectronSSR {
   private options: ElectronSSROptions;
   private initialized: boolean = false;
-  private routes: Map<string, RouteHandler> = new Map();
+  private rootRouter: Router = new Router();
+  private routeTable: Route[] | null = null;
+  private middleware: Middleware[] = [];
+  private notFoundHandler: RouteHandler | null = null;
+  private errorHandler: ErrorHandler | null = null;
+  private rootLayout: Layout | null = null;
+  private namedLayouts: Map<string, Layout> = new Map();
+  private vendorScriptRegistry: Map<string, VendorScript> = new Map(Object.entries(VENDOR_SCRIPTS));
   private _sseConnections: Set<SSEConnection> = new Set();
+  private history: EventHistory;
+  private heartbeatTimer: NodeJS.Timeout | null = null;
+  private connectionCounts = { opened: 0, closed: 0, reaped: 0, droppedFrames: 0, coalescedFrames: 0, disconnected: 0 };
+  private latest: LatestBroadcaster = new LatestBroadcaster(
+    () => this._sseConnections,
+    (key, error) => this.log(`Error producing latest value for ${key}:`, error)
+  );
+  /**
+   * Datastar signals shared by the connected windows; only the changes each
+   * window has not received yet are sent
+   */
+  public readonly signals: SignalStore = new SignalStore();
+  private backpressureListener: ((event: SSEBackpressureEvent) => void) | null = null;
   private schemesRegistered: boolean = false;
 
   /**
@@ -24,8 +93,17 @@ export class ElectronSSR {
       debug: false,
       httpScheme: 'http',
       sseScheme: 'sse',
+      trackWindows: false,
+      replayBufferSize: 100,
+      heartbeatInterval: 15000,
       ...options
     };
+    this.history = new EventHistory(this.options.replayBufferSize!);
+
+    // Rebuild the route table whenever a route or mounted router changes
+    this.rootRouter.subscribe(() => {
+      this.routeTable = null;
+    });
 
     // Automatically register schemes when instance is created
     this.registerSchemes();
@@ -53,6 +131,34 @@ export class ElectronSSR {
     return this._sseConnections;
   }
 
+  /**
+   * Count the SSE connections: open ones per topic and per webContents, and
+   * totals since the app started
+   */
+  public sseStats(): SSEStats {
+    const stats: SSEStats = {
+      active: this._sseConnections.size,
+      ...this.connectionCounts,
+      topics: {},
+      webContents: {},
+      behind: 0,
+    };
+
+    for (const connection of this._sseConnections) {
+      if (connection.metrics.behindSince !== null) {
+        stats.behind++;
+      }
+      for (const topic of connection.topics) {
+        stats.topics[topic] = (stats.topics[topic] ?? 0) + 1;
+      }
+      if (connection.webContentsId !== undefined) {
+        stats.webContents[connection.webContentsId] = (stats.webContents[connection.webContentsId] ?? 0) + 1;
+      }
+    }
+
+    return stats;
+  }
+
   /**
    * Log debug messages if debug is enabled
    */
@@ -128,6 +234,10 @@ export class ElectronSSR {
     protocolToUse.handle(httpScheme!, this.handleHTTP.bind(this));
     protocolToUse.handle(sseScheme!, this.handleSSE.bind(this));
 
+    if (this.options.trackWindows) {
+      this.trackSession(electronSession.defaultSession);
+    }
+
     this.initialized = true;
     this.log('Protocol handlers registered');
 
@@ -135,99 +245,970 @@ export class ElectronSSR {
   }
 
   /**
-   * Register a route for HTTP requests
+   * Tag the requests of a session with the webContents they came from, so
+   * `ctx.window`, `connection.window` and `sendTo()` work for its pages. The
+   * default session is tracked when `trackWindows` is true; call this for
+   * windows using another session or partition.
+   *
+   * This sets the session's `webRequest.onBeforeSendHeaders` listener, which
+   * replaces any listener set before, also for URLs of other schemes. Apps
+   * that need their own listener can call `withWebContentsId()` from it
+   * instead.
+   */
+  public trackSession(session: Session): ElectronSSR {
+    trackWebContents(session, [this.options.httpScheme!, this.options.sseScheme!]);
+    this.log('Tracking webContents of session requests');
+    return this;
+  }
+
+  /**
+   * Register a route for HTTP requests.
+   *
+   * Paths may contain named params (`/notes/:id`), optional params
+   * (`/notes/:id?`) and a trailing wildcard (`/files/*`). Matched params are
+   * passed to the handler as `ctx.params`.
+   *
+   * When several patterns match a request, the most specific one wins:
+   * segments are compared left to right, static before named params before
+   * optional params before wildcards. Equally specific routes are tried in
+   * registration order.
+   *
+   * Route-level middleware runs after global and router middleware.
+   */
+  public registerRoute(
+    path: string,
+    handler: RouteHandler,
+    method: string = 'GET',
+    middleware: Middleware[] = []
+  ): ElectronSSR {
+    const replaced = this.rootRouter.hasRoute(path, method);
+    this.rootRouter.registerRoute(path, handler, method, middleware);
+    this.log(`${replaced ? 'Replaced' : 'Registered'} route: ${method.toUpperCase()}:${path}`);
+    return this;
+  }
+
+  /**
+   * Remove a route by the path it was registered with, including routes of
+   * mounted routers (e.g. `/settings/theme`). Without a method, every method
+   * on the path is removed. Returns true when a route was removed.
+   */
+  public unregisterRoute(path: string, method?: string, options: RouteChangeOptions = {}): boolean {
+    const removed = this.changeRoutes(() => this.rootRouter.unregisterRoute(path, method), options);
+    this.log(removed ? `Unregistered route: ${method ? `${method.toUpperCase()}:` : ''}${path}` : `No route to unregister: ${path}`);
+    return removed;
+  }
+
+  /**
+   * List registered routes in the order they are matched
+   */
+  public listRoutes(): RouteInfo[] {
+    return this.routes.map(({ method, path }) => ({ method, path }));
+  }
+
+  /**
+   * Register a GET route
+   */
+  public get(path: string, ...handlers: RouteHandlers): ElectronSSR {
+    const { middleware, handler } = splitHandlers(handlers);
+    return this.registerRoute(path, handler, 'GET', middleware);
+  }
+
+  /**
+   * Register a POST route
+   */
+  public post(path: string, ...handlers: RouteHandlers): ElectronSSR {
+    const { middleware, handler } = splitHandlers(handlers);
+    return this.registerRoute(path, handler, 'POST', middleware);
+  }
+
+  /**
+   * Register a PUT route
+   */
+  public put(path: string, ...handlers: RouteHandlers): ElectronSSR {
+    const { middleware, handler } = splitHandlers(handlers);
+    return this.registerRoute(path, handler, 'PUT', middleware);
+  }
+
+  /**
+   * Register a PATCH route
+   */
+  public patch(path: string, ...handlers: RouteHandlers): ElectronSSR {
+    const { middleware, handler } = splitHandlers(handlers);
+    return this.registerRoute(path, handler, 'PATCH', middleware);
+  }
+
+  /**
+   * Register a DELETE route
+   */
+  public delete(path: string, ...handlers: RouteHandlers): ElectronSSR {
+    const { middleware, handler } = splitHandlers(handlers);
+    return this.registerRoute(path, handler, 'DELETE', middleware);
+  }
+
+  /**
+   * Register a route that answers every method
+   */
+  public all(path: string, ...handlers: RouteHandlers): ElectronSSR {
+    const { middleware, handler } = splitHandlers(handlers);
+    return this.registerRoute(path, handler, ANY_METHOD, middleware);
+  }
+
+  /**
+   * Add global middleware. It runs for every HTTP request in registration
+   * order, including requests that end in a 404 or 405, and can
+   * short-circuit by returning a Response without calling `next()`.
+   */
+  public use(middleware: Middleware): ElectronSSR {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Register an event stream route on the HTTP scheme, for `new EventSource('/updates')`
+   * or Datastar's `@get('/updates')`. The handler receives the channel and
+   * can keep it open as long as it needs:
+   *
+   * ```javascript
+   * ssr.sse('/clock', (channel) => {
+   *   const timer = setInterval(() => channel.send('tick', new Date().toISOString()), 1000);
+   *   channel.onClose(() => clearInterval(timer));
+   * });
+   * ```
+   *
+   * The channel joins `sseConnections`, so `broadcastContent()` reaches it
+   * too. It subscribes to the topics in `?topics=a,b`, and the handler can
+   * change its subscriptions with `channel.subscribe()`. If the handler
+   * throws, the error is logged and the channel closed.
+   *
+   * A reconnecting client gets the broadcasts it missed before the handler
+   * runs, see `replayBuffer()`.
+   */
+  public sse(path: string, ...handlers: [...Middleware[], SSEHandler]): ElectronSSR {
+    const { middleware, handler } = splitHandlers<SSEHandler>(handlers);
+    return this.registerRoute(path, (request, url, ctx) => {
+      const channel = this.openChannel(request, topicsFromUrl(url, false));
+      this.replayMissed(channel);
+      (async () => handler(channel, ctx))().catch(error => {
+        this.log('Error in SSE handler:', error);
+        channel.close();
+      });
+      return channel.response();
+    }, 'GET', middleware);
+  }
+
+  /**
+   * Open a channel for an event stream request and track it in `sseConnections`
+   * until it closes
+   */
+  private openChannel(request: Request, topics: string[]): SSEChannel {
+    const channel = new SSEChannel(request, topics, {
+      ...this.options.backpressure,
+      onBackpressure: event => this.reportBackpressure(event),
+    });
+    this._sseConnections.add(channel);
+    this.connectionCounts.opened++;
+    channel.onClose(() => {
+      this._sseConnections.delete(channel);
+      this.connectionCounts.closed++;
+      if (this._sseConnections.size === 0) {
+        this.stopHeartbeat();
+        this.latest.pause();
+      }
+      this.log('SSE connection closed, active connections:', this._sseConnections.size);
+    });
+
+    // A crashed or destroyed page does not always abort its requests. The
+    // webContents is only known for pages of tracked sessions.
+    const contents = channel.webContents;
+    if (contents) {
+      const reap = () => this.reapConnection(channel, 'its webContents is gone');
+      contents.once('destroyed', reap);
+      contents.once('render-process-gone', reap);
+      channel.onClose(() => {
+        contents.off('destroyed', reap);
+        contents.off('render-process-gone', reap);
+      });
+    }
+
+    if (this.options.retry !== undefined) {
+      channel.write(`retry: ${Math.max(0, Math.floor(this.options.retry))}\n\n`);
+    }
+    this.startHeartbeat();
+    this.latest.resume();
+
+    this.log('New SSE connection, active connections:', this._sseConnections.size);
+    return channel;
+  }
+
+  /**
+   * Be notified when an SSE client cannot keep up: it fell `behind` and its
+   * frames are queued, frames were `dropped` or `coalesced`, it was
+   * `disconnected`, or it `recovered`. Useful to log slow windows or lower
+   * the update rate.
+   *
+   * ```javascript
+   * ssr.onBackpressure(({ type, connection, queuedBytes }) => {
+   *   console.warn(`SSE ${type} for webContents ${connection.webContentsId}, ${queuedBytes} bytes queued`);
+   * });
+   * ```
+   */
+  public onBackpressure(listener: (event: SSEBackpressureEvent) => void): ElectronSSR {
+    this.backpressureListener = listener;
+    return this;
+  }
+
+  /**
+   * Count a backpressure event and pass it on to the listener
+   */
+  private reportBackpressure(event: SSEBackpressureEvent): void {
+    if (event.type === 'dropped') {
+      this.connectionCounts.droppedFrames += event.frames;
+    } else if (event.type === 'coalesced') {
+      this.connectionCounts.coalescedFrames += event.frames;
+    } else if (event.type === 'disconnected') {
+      this.connectionCounts.disconnected++;
+    }
+
+    this.log(`SSE backpressure: ${event.type}, ${event.queuedFrames} frames (${event.queuedBytes} bytes) queued`);
+
+    try {
+      this.backpressureListener?.(event);
+    } catch (error) {
+      this.log('Error in backpressure listener:', error);
+    }
+  }
+
+  /**
+   * Close a connection whose client is gone
+   */
+  private reapConnection(connection: SSEConnection, reason: string): void {
+    if (connection.closed) {
+      return;
+    }
+    this.connectionCounts.reaped++;
+    this.log(`Closing SSE connection because ${reason}`);
+    connection.close();
+  }
+
+  /**
+   * Send heartbeat comments while connections are open. A comment keeps
+   * idle connections alive, and a connection that cannot be written to, or
+   * whose webContents no longer exists, is closed.
+   */
+  private startHeartbeat(): void {
+    if (this.heartbeatTimer || !this.options.heartbeatInterval) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      for (const connection of this._sseConnections) {
+        if (connection.webContentsId !== undefined && !connection.webContents) {
+          this.reapConnection(connection, 'its webContents is gone');
+        } else if (!connection.comment()) {
+          this.connectionCounts.reaped++;
+          this.log('Closed SSE connection whose stream was destroyed');
+        }
+      }
+    }, this.options.heartbeatInterval);
+    // Heartbeats alone should not keep the process alive
+    this.heartbeatTimer.unref?.();
+  }
+
+  /**
+   * Stop the heartbeat once no connection is open
+   */
+  private stopHeartbeat(): void {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Send a reconnecting client the broadcasts it missed since its
+   * `Last-Event-ID`, or a `resync` event when they are no longer all kept
+   */
+  private replayMissed(channel: SSEChannel): void {
+    if (channel.lastEventId === undefined) {
+      return;
+    }
+
+    const frames = this.history.missed(
+      channel.lastEventId,
+      topic => topic === null || channel.isSubscribed(topic),
+      channel.webContentsId
+    );
+    if (frames === null) {
+      channel.send('resync', { lastEventId: this.history.lastId }, { id: this.history.lastId });
+      this.log(`SSE client at event ${channel.lastEventId} is too far behind, sent resync`);
+      return;
+    }
+
+    for (const frame of frames) {
+      channel.write(frame);
+    }
+    this.log(`Replayed ${frames.length} events from event ${channel.lastEventId}`);
+  }
+
+  /**
+   * Set how many broadcasts to a topic are kept for clients that reconnect
+   * (default: the `replayBufferSize` option, 100). `null` sets it for
+   * `broadcastContent()`. Use 0 for topics whose events are only useful
+   * live; reconnecting subscribers then get a `resync` event instead.
+   */
+  public replayBuffer(topic: string | null, size: number): ElectronSSR {
+    this.history.setSize(topic === null ? null : normalizeTopic(topic), size);
+    return this;
+  }
+
+  /**
+   * Register an action: a route whose handler receives the parsed request
+   * body (JSON, urlencoded or multipart form) as its third argument.
+   * Malformed bodies are answered with a 400 before the handler runs.
+   */
+  public action<T = any>(path: string, handler: ActionHandler<T>, method: string = 'POST'): ElectronSSR {
+    return this.registerRoute(path, async (request, url, ctx) => {
+      const body = await ctx.body<T>();
+      return handler(request, url, body, ctx);
+    }, method);
+  }
+
+  /**
+   * Render responses for unknown paths, including `NotFoundError`s thrown
+   * by handlers and missing static files
+   */
+  public notFound(handler: RouteHandler): ElectronSSR {
+    this.notFoundHandler = handler;
+    return this;
+  }
+
+  /**
+   * Render responses for errors thrown by handlers and middleware. Use
+   * `error.status` on `HttpError`s to pick the status code; the error's
+   * headers are added to the response unless the handler set them. If the
+   * handler throws itself, the default error response is sent.
    */
-  public registerRoute(path: string, handler: RouteHandler, method: string = 'GET'): ElectronSSR {
-    const routeKey = `${method.toUpperCase()}:${path}`;
-    this.routes.set(routeKey, handler);
-    this.log(`Registered route: ${routeKey}`);
+  public onError(handler: ErrorHandler): ElectronSSR {
+    this.errorHandler = handler;
     return this;
   }
 
   /**
-   * Broadcast content to all connected SSE clients
+   * Set the layout wrapping the HTML fragments returned by routes, usually
+   * the full document with `<head>` and scripts. Routers can add their own
+   * layouts with `router.layout()`, which nest inside this one.
+   *
+   * Layouts are skipped for htmx and Datastar requests that only want the
+   * fragment (`ctx.partial`), so one handler serves both the first load and
+   * later swaps. Routes returning a Response are never wrapped.
+   *
+   * With a name, the layout is registered for routes to select with
+   * `useLayout(name)` instead of the layouts they inherit.
    */
-  public broadcastContent(eventName: string, content: string): ElectronSSR {
-    if (this._sseConnections.size === 0) {
+  public layout(layout: Layout | null): ElectronSSR;
+  public layout(name: string, layout: Layout | null): ElectronSSR;
+  public layout(nameOrLayout: string | Layout | null, layout?: Layout | null): ElectronSSR {
+    if (typeof nameOrLayout !== 'string') {
+      this.rootLayout = nameOrLayout;
+      this.rootRouter.layout(nameOrLayout);
       return this;
     }
 
-    // Format content for SSE
-    const formattedContent = content
-      .split('\n')
-      .map(line => `data: ${line}`)
-      .join('\n');
+    if (layout) {
+      this.namedLayouts.set(nameOrLayout, layout);
+    } else {
+      this.namedLayouts.delete(nameOrLayout);
+    }
+    return this;
+  }
 
-    for (const connection of this._sseConnections) {
-      if (!connection.stream.destroyed) {
-        connection.stream.write(`event: ${eventName}\n${formattedContent}\n\n`);
+  /**
+   * Create a new router that can be mounted with `mount()`
+   */
+  public router(): Router {
+    return new Router();
+  }
+
+  /**
+   * Mount a router under a path prefix. The prefix and the router's
+   * middleware apply to every route inside it, including nested routers.
+   */
+  public mount(prefix: string, router: Router): ElectronSSR {
+    this.rootRouter.mount(prefix, router);
+    this.log(`Mounted router at ${prefix}`);
+    return this;
+  }
+
+  /**
+   * Load route modules from a directory and mount them under a prefix.
+   *
+   * `routes/notes/[id].js` exporting `GET` and `POST` becomes `GET /notes/:id`
+   * and `POST /notes/:id`. `index.js` maps to its directory, `[[name]]` to an
+   * optional param and `[...name]` to a wildcard. Modules may be ESM or
+   * CommonJS and may export a `middleware` array.
+   *
+   * Rejects with an error listing every conflict, between two modules or
+   * with routes that are already registered. Resolves with the mounted
+   * router, so it can later be passed to `unmount()` or `replaceRouter()`.
+   */
+  public async loadRoutes(dir: string, options: { prefix?: string } = {}): Promise<Router> {
+    const prefix = options.prefix ?? '/';
+    const routes = await loadRouteModules(dir);
+
+    const registered = new Map(
+      this.listRoutes().map(route => [routeShapeKey(route.method, route.path), route])
+    );
+    const conflicts = routes
+      .filter(route => registered.has(routeShapeKey(route.method, joinPaths(prefix, route.path))))
+      .map(route => {
+        const existing = registered.get(routeShapeKey(route.method, joinPaths(prefix, route.path)))!;
+        return `${route.method} ${joinPaths(prefix, route.path)} (${route.file}) conflicts with registered route ${existing.method} ${existing.path}`;
+      });
+    if (conflicts.length > 0) {
+      throw new Error(`Conflicting routes in ${dir}:\n  ${conflicts.join('\n  ')}`);
+    }
+
+    const router = new Router();
+    for (const route of routes) {
+      router.registerRoute(route.path, route.handler, route.method, route.middleware);
+    }
+    this.mount(prefix, router);
+
+    this.log(`Loaded ${routes.length} routes from ${dir}`);
+    return router;
+  }
+
+  /**
+   * Serve files from a local directory under a path prefix, e.g.
+   * `ssr.static('/assets', path.join(__dirname, 'assets'))`.
+   *
+   * Files are streamed with their MIME type, an ETag and Last-Modified
+   * header, and `If-None-Match` requests get a 304. Paths that escape the
+   * directory are rejected.
+   */
+  public static(prefix: string, dir: string, options: StaticOptions = {}): ElectronSSR {
+    return this.registerRoute(joinPaths(prefix, '*'), createStaticHandler(dir, options), 'GET');
+  }
+
+  /**
+   * Register a local copy of a client-side library, served from
+   * `/__ssr/vendor/<name>.js`. Registering a built-in name (`htmx`,
+   * `htmx-sse`, `alpine`, `alpine-morph`, `datastar`) replaces the bundled copy.
+   */
+  public vendor(name: string, filePath: string, options: Omit<VendorScript, 'file'> = {}): ElectronSSR {
+    this.vendorScriptRegistry.set(name, { ...options, file: path.resolve(filePath) });
+    this.log(`Registered vendor script: ${name}`);
+    return this;
+  }
+
+  /**
+   * Render `<script>` tags for vendor scripts, e.g. `ssr.vendorScripts('htmx', 'htmx-sse')`.
+   * Tags are emitted in registration order, so Alpine plugins load before Alpine.
+   */
+  public vendorScripts(...names: string[]): SafeHtml {
+    for (const name of names) {
+      if (!this.vendorScriptRegistry.has(name)) {
+        throw new Error(`Unknown vendor script "${name}"`);
+      }
+    }
+
+    return new SafeHtml([...this.vendorScriptRegistry]
+      .filter(([name]) => names.includes(name))
+      .map(([name, script]) => vendorScriptTag(name, script))
+      .join('\n'));
+  }
+
+  /**
+   * Serve a vendor script. These are answered before routing, so they stay
+   * out of `listRoutes()` and cannot be unregistered or shadowed by app routes.
+   */
+  private handleVendor(request: Request, file: string): Promise<Response> | Response {
+    let name: string;
+    try {
+      name = decodeURIComponent(file);
+    } catch {
+      name = file;
+    }
+    const script = this.vendorScriptRegistry.get(name.replace(/\.js$/, ''));
+    if (!script) {
+      throw new NotFoundError();
+    }
+
+    const cacheControl = script.version ? 'public, max-age=31536000, immutable' : 'no-cache';
+    return serveFile(request, path.resolve(bundledVendorDir(), script.file), cacheControl);
+  }
+
+  /**
+   * Remove a mounted router and all of its routes.
+   * Returns true when the router was mounted.
+   */
+  public unmount(router: Router, options: RouteChangeOptions = {}): boolean {
+    const removed = this.changeRoutes(() => this.rootRouter.unmount(router), options);
+    this.log(removed ? 'Unmounted router' : 'Router to unmount not found');
+    return removed;
+  }
+
+  /**
+   * Atomically swap a mounted router for another one under the same prefix,
+   * e.g. when a plugin or feature flag is toggled at runtime. No request ever
+   * sees a mix of the old and new routes. Returns true when the router was mounted.
+   */
+  public replaceRouter(router: Router, replacement: Router, options: RouteChangeOptions = {}): boolean {
+    const replaced = this.changeRoutes(() => this.rootRouter.replace(router, replacement), options);
+    this.log(replaced ? 'Replaced router' : 'Router to replace not found');
+    return replaced;
+  }
+
+  /**
+   * Apply a route change and optionally tell SSE clients which routes disappeared
+   */
+  private changeRoutes(change: () => boolean, options: RouteChangeOptions): boolean {
+    const before = options.notify ? this.listRoutes() : [];
+    const changed = change();
+
+    if (changed && options.notify) {
+      const after = new Set(this.listRoutes().map(route => `${route.method}:${route.path}`));
+      const removed = before.filter(route => !after.has(`${route.method}:${route.path}`));
+      if (removed.length > 0) {
+        this.broadcastContent('route-removed', JSON.stringify({ routes: removed }));
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Get the route table ordered by specificity, rebuilding it after changes
+   */
+  private get routes(): Route[] {
+    if (!this.routeTable) {
+      const routes = this.rootRouter.resolve().map(route => ({
+        ...route,
+        pattern: compilePattern(route.path),
+      }));
+      // Array#sort is stable, so equally specific routes keep registration order
+      this.routeTable = routes.sort((a, b) => comparePatterns(a.pattern, b.pattern));
+    }
+    return this.routeTable;
+  }
+
+  /**
+   * Find the first route matching the method and pathname
+   */
+  private matchRoute(method: string, pathname: string): { route: Route; params: RouteParams } | null {
+    // HEAD is answered by the most specific HEAD or GET route, so its headers
+    // match the GET response; a HEAD route wins over a GET route that ranks the same
+    const methods = method === 'HEAD' ? ['HEAD', 'GET', ANY_METHOD] : [method, ANY_METHOD];
+    let match: { route: Route; params: RouteParams } | null = null;
+
+    for (const route of this.routes) {
+      if (match && (match.route.method === 'HEAD' || comparePatterns(route.pattern, match.route.pattern) !== 0)) {
+        break;
+      }
+      if (!methods.includes(route.method) || (match && route.method !== 'HEAD')) {
+        continue;
+      }
+      const params = matchPattern(route.pattern, pathname);
+      if (params) {
+        match = { route, params };
+      }
+    }
+    return match;
+  }
+
+  /**
+   * List the methods that can be used on a pathname, for the `Allow` header.
+   * Returns an empty list when no route matches the pathname at all.
+   */
+  private allowedMethods(pathname: string): string[] {
+    const methods = new Set<string>();
+    for (const route of this.routes) {
+      if (matchPattern(route.pattern, pathname)) {
+        methods.add(route.method);
       }
     }
 
+    if (methods.size === 0) {
+      return [];
+    }
+    if (methods.has(ANY_METHOD)) {
+      return STANDARD_METHODS;
+    }
+
+    // HEAD is answered from GET and OPTIONS is always answered
+    if (methods.has('GET')) {
+      methods.add('HEAD');
+    }
+    methods.add('OPTIONS');
+
+    return [...methods].sort((a, b) => {
+      const indexA = STANDARD_METHODS.indexOf(a);
+      const indexB = STANDARD_METHODS.indexOf(b);
+      return (indexA === -1 ? STANDARD_METHODS.length : indexA) - (indexB === -1 ? STANDARD_METHODS.length : indexB);
+    });
+  }
+
+  /**
+   * Broadcast content to all connected SSE clients, e.g. an `html` template or a JSX element
+   */
+  public broadcastContent(eventName: string, content: HtmlContent): ElectronSSR {
+    const id = this.history.nextId();
+    const frame = formatEvent(eventName, contentToString(content), { id });
+    this.history.record(null, id, frame);
+
+    for (const connection of this._sseConnections) {
+      connection.write(frame);
+    }
+
     this.log(`Broadcasted content to ${this._sseConnections.size} connections`);
     return this;
   }
 
+  /**
+   * Broadcast content to the SSE clients subscribed to a topic. Connections
+   * subscribe with their URL (`sse://events/notes`, `?topics=notes,stats`)
+   * or `connection.subscribe()`.
+   *
+   * Topics are `/`-separated and either side may use wildcards: `*` matches
+   * one segment and `**` any number, so `broadcastTo('notes/*', ...)` reaches
+   * subscribers of `notes/42` and subscribers of `notes/**` receive
+   * `notes/42/comments`.
+   *
+   * Broadcasts carry increasing event ids and the latest ones are kept per
+   * topic, so clients that reconnect catch up; see `replayBuffer()`.
+   */
+  public broadcastTo(topic: string, eventName: string, content: HtmlContent): ElectronSSR {
+    const id = this.history.nextId();
+    const frame = formatEvent(eventName, contentToString(content), { id });
+    this.history.record(normalizeTopic(topic), id, frame);
+
+    const subscribers = [...this._sseConnections].filter(connection => connection.isSubscribed(topic));
+    for (const connection of subscribers) {
+      connection.write(frame);
+    }
+
+    this.log(`Broadcasted content on ${normalizeTopic(topic)} to ${subscribers.length} connections`);
+    return this;
+  }
+
+  /**
+   * Broadcast high-frequency state, such as a frame counter or a live chart,
+   * without flooding the clients. The newest value of the key is sent at most
+   * `fps` times per second: a function is called once per frame, any other
+   * value is sent until the key is set again.
+   *
+   * ```javascript
+   * ssr.broadcastLatest('state', () => appState, { fps: 60 });
+   * ssr.broadcastLatest('chart', () => <Chart points={points} />, { topic: 'dashboard' });
+   * ssr.broadcastLatest('usage', async () => await readUsage(), { fps: 2 });
+   * ```
+   *
+   * An async producer's key is sent once its promise resolves, and skips
+   * the frames due while it runs; other keys keep their rate. Producers that
+   * throw or reject are logged, and their key is left out of that frame.
+   *
+   * A connection only gets a value that differs from the last one it
+   * received, so nothing is sent while the state is unchanged. The changed
+   * keys of one frame reach each connection in a single write, and a
+   * connection still reading an earlier frame is skipped until it catches up.
+   * Producers are not called while no connection receives their key, and
+   * the timers stop while no connection is open.
+   *
+   * Values are sent like `channel.send()`: HTML content as markup, anything
+   * else as JSON. They are not replayed to reconnecting clients, which get
+   * the newest value on the next frame instead.
+   */
+  public broadcastLatest(key: string, producer: unknown, options: BroadcastLatestOptions = {}): ElectronSSR {
+    this.latest.set(key, producer, options);
+    return this;
+  }
+
+  /**
+   * Stop broadcasting a key set with `broadcastLatest()`. Returns false when
+   * it was not set.
+   */
+  public stopLatest(key: string): boolean {
+    return this.latest.delete(key);
+  }
+
+  /**
+   * Send content to the SSE connections of one window, given as a
+   * BrowserWindow, a webContents or a webContents id. Returns false when the
+   * window has no open connection, or is undefined, like `ctx.window` for a
+   * request from outside a window.
+   *
+   * Events carry ids like broadcasts, and the latest ones are kept per
+   * webContents until it is destroyed, so its connections catch up when
+   * they reconnect.
+   *
+   * ```javascript
+   * ssr.post('/notes', async (request, url, ctx) => {
+   *   // ...
+   *   ssr.sendTo(ctx.window, 'saved', html`<p>Saved</p>`);
+   * });
+   * ```
+   */
+  public sendTo(target: WindowTarget | undefined, eventName: string, content: HtmlContent): boolean {
+    if (target === undefined) {
+      return false;
+    }
+
+    const id = webContentsIdOf(target);
+    const connections = [...this._sseConnections].filter(connection => connection.webContentsId === id);
+    if (connections.length === 0) {
+      return false;
+    }
+
+    const eventId = this.history.nextId();
+    const frame = formatEvent(eventName, contentToString(content), { id: eventId });
+    if (!this.history.hasWindow(id)) {
+      connections[0].webContents?.once('destroyed', () => this.history.forget(id));
+    }
+    this.history.recordFor(id, eventId, frame);
+
+    for (const connection of connections) {
+      connection.write(frame);
+    }
+
+    this.log(`Sent content to ${connections.length} connections of webContents ${id}`);
+    return true;
+  }
+
+  /**
+   * Build an HTML response from a main fragment plus htmx out-of-band
+   * fragments created with `oob()`, so one `hx-post` can update several
+   * regions of the page.
+   *
+   * With `broadcast`, the out-of-band fragments are also sent to every SSE
+   * client under that event name, so other windows get the same update.
+   */
+  public oobResponse(
+    main: HtmlContent,
+    fragments: OobFragment[],
+    options: ResponseOptions & { broadcast?: string } = {}
+  ): Response {
+    const { broadcast, ...responseOptions } = options;
+
+    if (broadcast && fragments.length > 0) {
+      this.broadcastContent(broadcast, fragments.map(renderOobFragment).join('\n'));
+    }
+
+    return htmlResponse(renderOob(main, fragments), responseOptions);
+  }
+
   /**
    * Handle HTTP requests
    */
   private async handleHTTP(request: Request): Promise<Response> {
     const url = new URL(request.url);
     const method = request.method;
-    const routeKey = `${method}:${url.pathname}`;
 
     this.log(`HTTP ${method} request for ${url.pathname}`);
 
+    const ctx = createContext(request, url);
+
+    let response: Response;
+    try {
+      response = await compose(this.middleware, ctx => this.dispatch(ctx))(ctx);
+    } catch (error) {
+      response = await this.renderError(error, ctx);
+    }
+
+    response = withHeaders(response, ctx.responseHeaders);
+
+    if (method === 'HEAD' && response.body) {
+      response.body.cancel().catch(() => {});
+      return new Response(null, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Route a request to its handler, or answer OPTIONS, 405 and 404 responses
+   */
+  private async dispatch(ctx: RequestContext): Promise<Response> {
+    const { request, url } = ctx;
+    const method = request.method;
+
+    // Offline copies of htmx, Alpine.js and Datastar
+    const vendorFile = url.pathname.startsWith(`${VENDOR_PREFIX}/`) ? url.pathname.slice(VENDOR_PREFIX.length + 1) : null;
+    if (vendorFile && !vendorFile.includes('/') && (method === 'GET' || method === 'HEAD')) {
+      return this.handleVendor(request, vendorFile);
+    }
+
     // Check if we have a registered route handler
-    if (this.routes.has(routeKey)) {
-      try {
-        const handler = this.routes.get(routeKey)!;
-        return await handler(request, url);
-      } catch (error) {
-        this.log('Error handling route:', error);
-        return new Response(`Server Error: ${(error as Error).message}`, { status: 500 });
+    const match = this.matchRoute(method, url.pathname);
+    if (match) {
+      const { route, params } = match;
+      ctx.params = params;
+      return compose(route.middleware, ctx => this.renderRoute(route, ctx))(ctx);
+    }
+
+    // The path exists but not for this method
+    const allowed = this.allowedMethods(url.pathname);
+    if (allowed.length > 0) {
+      if (method === 'OPTIONS') {
+        return new Response(null, { status: 204, headers: { 'Allow': allowed.join(', ') } });
       }
+      throw new MethodNotAllowedError(allowed);
+    }
+
+    return this.renderNotFound(ctx);
+  }
+
+  /**
+   * Run a route handler and render its result. Sections created with
+   * `defer()` while rendering make the response stream, except for partial
+   * requests, which get the whole fragment at once.
+   */
+  private renderRoute(route: Route, ctx: RequestContext): Promise<Response> {
+    const collector = new DeferredCollector(!ctx.partial, error => {
+      this.log('Error rendering deferred content:', error);
+    });
+
+    return collector.run(async () => {
+      const result = await route.handler(ctx.request, ctx.url, ctx);
+      return this.renderResult(result, route.layouts, ctx, 200, collector);
+    });
+  }
+
+  /**
+   * Turn what a route returned into a response, wrapping HTML fragments in
+   * their layouts unless the request is partial
+   */
+  private async renderResult(
+    result: RouteResult,
+    layouts: Layout[],
+    ctx: RequestContext,
+    status: number = 200,
+    collector?: DeferredCollector
+  ): Promise<Response> {
+    if (!isHtmlContent(result)) {
+      // Sections marked in a Response built from a template render in place
+      return collector ? collector.inlineBody(result) : result;
     }
 
-    // Return 404 for unhandled routes
+    const fragment = await renderContent(result);
+    const html = ctx.partial ? fragment : await applyLayouts(fragment, this.selectLayouts(layouts, ctx), ctx);
+
+    if (collector && collector.marks(html)) {
+      return streamResponse(collector.stream(html, ctx.deferOrder), { status });
+    }
+    return htmlResponse(html, { status });
+  }
+
+  /**
+   * Pick the layouts for a response: the inherited ones, unless the route
+   * selected another layout with `useLayout()`
+   */
+  private selectLayouts(inherited: Layout[], ctx: RequestContext): Layout[] {
+    const selection = ctx.layout;
+    if (selection === undefined) {
+      return inherited;
+    }
+    if (selection === false) {
+      return [];
+    }
+    if (typeof selection === 'function') {
+      return [selection];
+    }
+
+    const layout = this.namedLayouts.get(selection);
+    if (!layout) {
+      throw new Error(`Unknown layout "${selection}"`);
+    }
+    return [layout];
+  }
+
+  /**
+   * Render the 404 response, through the custom handler when there is one.
+   * HTML fragments returned by the handler get the root layout.
+   */
+  private async renderNotFound(ctx: RequestContext): Promise<Response> {
+    if (this.notFoundHandler) {
+      const result = await this.notFoundHandler(ctx.request, ctx.url, ctx);
+      return this.renderResult(result, this.rootLayout ? [this.rootLayout] : [], ctx, 404);
+    }
     return new Response('Not Found', { status: 404 });
   }
 
   /**
-   * Handle SSE connections
+   * Turn an error thrown while handling a request into a response
    */
-  private handleSSE(request: Request): Response {
-    this.log('New SSE connection');
+  private async renderError(thrown: unknown, ctx: RequestContext): Promise<Response> {
+    const error = thrown instanceof Error ? thrown : new Error(String(thrown));
 
-    const stream = new PassThrough();
+    try {
+      if (error instanceof HttpError && error.status === 404 && this.notFoundHandler) {
+        return this.withErrorHeaders(await this.renderNotFound(ctx), error);
+      }
+      if (this.errorHandler) {
+        return this.withErrorHeaders(await this.errorHandler(error, ctx.request, ctx.url, ctx), error);
+      }
+    } catch (handlerError) {
+      this.log('Error in error handler:', handlerError);
+      return this.defaultErrorResponse(handlerError instanceof Error ? handlerError : new Error(String(handlerError)), ctx);
+    }
 
-    // SSE headers
-    const headers = new Headers({
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
+    return this.defaultErrorResponse(error, ctx);
+  }
+
+  /**
+   * Add the headers of an HttpError, such as the `Allow` header of a 405, to
+   * the response of a custom handler, unless it set them itself
+   */
+  private withErrorHeaders(response: Response, error: Error): Response {
+    if (!(error instanceof HttpError)) {
+      return response;
+    }
+    const missing = new Headers();
+    error.headers.forEach((value, name) => {
+      if (!response.headers.has(name)) {
+        missing.set(name, value);
+      }
     });
+    return withHeaders(response, missing);
+  }
 
-    // Add this connection to active connections
-    const connection = { stream, request };
-    this._sseConnections.add(connection);
+  /**
+   * Default error response: the status and message of an HttpError, or a 500.
+   * In debug mode server errors render a page with the stack trace.
+   */
+  private defaultErrorResponse(error: Error, ctx: RequestContext): Response {
+    const status = error instanceof HttpError ? error.status : 500;
+    const headers = new Headers(error instanceof HttpError ? error.headers : undefined);
 
-    // Send initial connection established message
-    stream.write('event: connected\ndata: {"status": "connected"}\n\n');
+    if (status >= 500) {
+      this.log('Error handling route:', error);
+    }
 
-    // Remove connection when closed
-    request.signal.addEventListener('abort', () => {
-      this._sseConnections.delete(connection);
-      stream.end();
-      this.log('SSE connection closed, active connections:', this._sseConnections.size);
-    });
+    if (this.options.debug && status >= 500) {
+      headers.set('Content-Type', 'text/html; charset=utf-8');
+      return new Response(renderErrorPage(error, status, ctx), { status, headers });
+    }
 
-    // Convert Node.js stream to web ReadableStream
-    const webStream = Readable.toWeb(stream);
+    if (error instanceof HttpError) {
+      return new Response(error.expose ? error.message : 'Server Error', { status, headers });
+    }
+    return new Response(`Server Error: ${error.message}`, { status, headers });
+  }
 
-    // Return a standard web Response with the stream
-    return new Response(webStream as unknown as BodyInit, { headers });
+  /**
+   * Handle SSE connections
+   */
+  private handleSSE(request: Request): Response {
+    const channel = this.openChannel(request, topicsFromUrl(new URL(request.url), true));
+
+    // Send initial connection established message
+    channel.write('event: connected\ndata: {"status": "connected"}\n\n');
+    this.replayMissed(channel);
+
+    return channel.response({ 'Access-Control-Allow-Origin': '*' });
   }
 
   /**
@@ -241,18 +1222,18 @@ export class ElectronSSR {
    * Create a datastar-compatible SSE event for merging signals
    */
   public datastarMergeSignals(signals: Record<string, any>): string {
-    return `event: datastar-merge-signals\ndata: signals ${JSON.stringify(signals)}\n\n`;
+    return formatMergeSignals(signals);
   }
 
   /**
    * Create a datastar-compatible DOM fragment update
    */
-  public datastarMergeFragments(selector: string, html: string, mergeMode: string = 'inner'): string {
+  public datastarMergeFragments(selector: string, html: HtmlContent, mergeMode: string = 'inner'): string {
     return [
       'event: datastar-merge-fragments',
       `data: selector ${selector}`,
       `data: mergeMode ${mergeMode}`,
-      `data: fragments ${html.replace(/\n/g, '')}`
+      `data: fragments ${contentToString(html).replace(/\n/g, '')}`
     ].join('\n') + '\n\n';
   }
 
@@ -281,11 +1262,7 @@ export class ElectronSSR {
    * Create a datastar-compatible SSE event for removing signals
    */
   public datastarRemoveSignals(paths: string | string[]): string {
-    const pathsArray = Array.isArray(paths) ? paths : [paths];
-    return [
-      'event: datastar-remove-signals',
-      ...pathsArray.map(path => `data: paths ${path}`)
-    ].join('\n') + '\n\n';
+    return formatRemoveSignals(Array.isArray(paths) ? paths : [paths]);
   }
 
   /**
@@ -308,9 +1285,7 @@ export class ElectronSSR {
     if (this._sseConnections.size > 0) {
       // Close all active SSE connections
       for (const connection of this._sseConnections) {
-        if (!connection.stream.destroyed) {
-          connection.stream.end();
-        }
+        connection.close();
       }
 
       // Clear the connections set
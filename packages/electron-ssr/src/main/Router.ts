@@ -0,0 +1,315 @@
+import { Layout, Middleware, RouteHandler, RouteHandlers } from './types';
+import { splitHandlers } from './middleware';
+import { compilePattern, joinPaths, normalizePath } from './routeMatcher';
+
+/**
+ * Method used for routes registered with `all()`
+ */
+export const ANY_METHOD = '*';
+
+/**
+ * A route registered directly on a router
+ */
+interface RouteDefinition {
+  type: 'route';
+  method: string;
+  path: string;
+  handler: RouteHandler;
+  middleware: Middleware[];
+}
+
+/**
+ * A child router mounted under a prefix
+ */
+interface MountDefinition {
+  type: 'mount';
+  prefix: string;
+  router: Router;
+  unsubscribe: () => void;
+}
+
+/**
+ * A route with its full path, and the middleware and layouts of every router above it
+ */
+export interface ResolvedRoute {
+  method: string;
+  path: string;
+  handler: RouteHandler;
+  middleware: Middleware[];
+  /** Layouts from the outermost to the innermost */
+  layouts: Layout[];
+}
+
+/**
+ * Strip a mount prefix from a path, or return null when the path is outside it
+ */
+function stripPrefix(prefix: string, path: string): string | null {
+  if (prefix === '/') {
+    return path;
+  }
+  if (path === prefix) {
+    return '/';
+  }
+  if (path.startsWith(`${prefix}/`)) {
+    return path.slice(prefix.length);
+  }
+  return null;
+}
+
+/**
+ * Router - a group of routes and middleware that can be mounted under a prefix
+ *
+ * Routers are live: routes added to a router after it has been mounted are
+ * picked up by the ElectronSSR instance on the next request.
+ */
+export class Router {
+  private entries: Array<RouteDefinition | MountDefinition> = [];
+  private middleware: Middleware[] = [];
+  private layoutHandler: Layout | null = null;
+  private listeners: Set<() => void> = new Set();
+
+  /**
+   * Register a route on this router, optionally with route-level middleware
+   */
+  public registerRoute(
+    path: string,
+    handler: RouteHandler,
+    method: string = 'GET',
+    middleware: Middleware[] = []
+  ): Router {
+    const upperMethod = method.toUpperCase();
+    // Compile once up front so invalid patterns fail at registration time
+    const normalized = compilePattern(path).path;
+
+    const existing = this.entries.find(
+      (entry): entry is RouteDefinition => entry.type === 'route' && entry.method === upperMethod && entry.path === normalized
+    );
+    if (existing) {
+      existing.handler = handler;
+      existing.middleware = middleware;
+    } else {
+      this.entries.push({ type: 'route', method: upperMethod, path: normalized, handler, middleware });
+    }
+
+    this.notify();
+    return this;
+  }
+
+  /**
+   * Remove a route by its registered path, from this router or a router
+   * mounted inside it. Without a method, every method on the path is removed.
+   * Returns true when at least one route was removed.
+   */
+  public unregisterRoute(path: string, method?: string): boolean {
+    const normalized = normalizePath(path);
+    const upperMethod = method?.toUpperCase();
+    const count = this.entries.length;
+
+    this.entries = this.entries.filter(
+      entry => !(entry.type === 'route' && entry.path === normalized && (!upperMethod || entry.method === upperMethod))
+    );
+    const removedHere = this.entries.length < count;
+
+    // Mounted routers notify us themselves when they remove something
+    let removedBelow = false;
+    for (const entry of this.entries) {
+      if (entry.type !== 'mount') {
+        continue;
+      }
+      const rest = stripPrefix(entry.prefix, normalized);
+      if (rest !== null && entry.router.unregisterRoute(rest, method)) {
+        removedBelow = true;
+      }
+    }
+
+    if (removedHere) {
+      this.notify();
+    }
+    return removedHere || removedBelow;
+  }
+
+  /**
+   * Check whether a route is registered directly on this router
+   */
+  public hasRoute(path: string, method: string = 'GET'): boolean {
+    const normalized = normalizePath(path);
+    const upperMethod = method.toUpperCase();
+    return this.entries.some(entry => entry.type === 'route' && entry.path === normalized && entry.method === upperMethod);
+  }
+
+  /**
+   * Register a GET route
+   */
+  public get(path: string, ...handlers: RouteHandlers): Router {
+    const { middleware, handler } = splitHandlers(handlers);
+    return this.registerRoute(path, handler, 'GET', middleware);
+  }
+
+  /**
+   * Register a POST route
+   */
+  public post(path: string, ...handlers: RouteHandlers): Router {
+    const { middleware, handler } = splitHandlers(handlers);
+    return this.registerRoute(path, handler, 'POST', middleware);
+  }
+
+  /**
+   * Register a PUT route
+   */
+  public put(path: string, ...handlers: RouteHandlers): Router {
+    const { middleware, handler } = splitHandlers(handlers);
+    return this.registerRoute(path, handler, 'PUT', middleware);
+  }
+
+  /**
+   * Register a PATCH route
+   */
+  public patch(path: string, ...handlers: RouteHandlers): Router {
+    const { middleware, handler } = splitHandlers(handlers);
+    return this.registerRoute(path, handler, 'PATCH', middleware);
+  }
+
+  /**
+   * Register a DELETE route
+   */
+  public delete(path: string, ...handlers: RouteHandlers): Router {
+    const { middleware, handler } = splitHandlers(handlers);
+    return this.registerRoute(path, handler, 'DELETE', middleware);
+  }
+
+  /**
+   * Register a route that answers every method
+   */
+  public all(path: string, ...handlers: RouteHandlers): Router {
+    const { middleware, handler } = splitHandlers(handlers);
+    return this.registerRoute(path, handler, ANY_METHOD, middleware);
+  }
+
+  /**
+   * Add middleware that runs around every route of this router,
+   * including the routes of routers mounted inside it
+   */
+  public use(middleware: Middleware): Router {
+    this.middleware.push(middleware);
+    this.notify();
+    return this;
+  }
+
+  /**
+   * Set the layout wrapping the HTML fragments returned by this router's
+   * routes. It nests inside the layouts of the routers above it, or pass
+   * `null` to remove it.
+   */
+  public layout(layout: Layout | null): Router {
+    this.layoutHandler = layout;
+    this.notify();
+    return this;
+  }
+
+  /**
+   * Mount a child router under a path prefix
+   */
+  public mount(prefix: string, router: Router): Router {
+    if (router === this || router.contains(this)) {
+      throw new Error('Cannot mount a router inside itself');
+    }
+
+    const unsubscribe = router.subscribe(() => this.notify());
+    this.entries.push({ type: 'mount', prefix: normalizePath(prefix), router, unsubscribe });
+
+    this.notify();
+    return this;
+  }
+
+  /**
+   * Remove a mounted router, searching nested routers too.
+   * Returns true when the router was found.
+   */
+  public unmount(router: Router): boolean {
+    const index = this.entries.findIndex(entry => entry.type === 'mount' && entry.router === router);
+    if (index === -1) {
+      return this.entries.some(entry => entry.type === 'mount' && entry.router.unmount(router));
+    }
+
+    (this.entries[index] as MountDefinition).unsubscribe();
+    this.entries.splice(index, 1);
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Swap a mounted router for another one under the same prefix, in a single
+   * change. Returns true when the router was found.
+   */
+  public replace(router: Router, replacement: Router): boolean {
+    const entry = this.entries.find(
+      (entry): entry is MountDefinition => entry.type === 'mount' && entry.router === router
+    );
+    if (!entry) {
+      return this.entries.some(entry => entry.type === 'mount' && entry.router.replace(router, replacement));
+    }
+
+    if (replacement === this || replacement.contains(this)) {
+      throw new Error('Cannot mount a router inside itself');
+    }
+
+    entry.unsubscribe();
+    entry.router = replacement;
+    entry.unsubscribe = replacement.subscribe(() => this.notify());
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Flatten this router into routes with full paths, in registration order
+   */
+  public resolve(prefix: string = '/', middleware: Middleware[] = [], layouts: Layout[] = []): ResolvedRoute[] {
+    const stack = [...middleware, ...this.middleware];
+    const layoutStack = this.layoutHandler ? [...layouts, this.layoutHandler] : layouts;
+    const resolved: ResolvedRoute[] = [];
+
+    for (const entry of this.entries) {
+      if (entry.type === 'route') {
+        resolved.push({
+          method: entry.method,
+          path: joinPaths(prefix, entry.path),
+          handler: entry.handler,
+          middleware: [...stack, ...entry.middleware],
+          layouts: layoutStack,
+        });
+      } else {
+        resolved.push(...entry.router.resolve(joinPaths(prefix, entry.prefix), stack, layoutStack));
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Listen for changes to this router or any router mounted inside it
+   */
+  public subscribe(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Check whether a router is mounted somewhere below this one
+   */
+  private contains(router: Router): boolean {
+    return this.entries.some(
+      entry => entry.type === 'mount' && (entry.router === router || entry.router.contains(router))
+    );
+  }
+
+  /**
+   * Tell listeners that the route table changed
+   */
+  private notify(): void {
+    for (const listener of this.listeners) {
+      listener();
+    }
+  }
+}
@@ -0,0 +1,160 @@
+import { FormValues, RequestContext } from './types';
+import { BadRequestError } from './errors';
+import {
+  htmlResponse,
+  jsonResponse,
+  noContentResponse,
+  redirectResponse,
+  streamResponse,
+  textResponse
+} from './responses';
+import { Htmx } from './htmx';
+import { isPartialRequest } from './layout';
+import { findWebContents, findWindow, webContentsIdFromHeaders } from './windows';
+
+/**
+ * Collect name/value pairs into an object. Names that appear more than once
+ * become arrays, in order.
+ */
+function collectValues<T>(forEach: (callback: (value: T, name: string) => void) => void): Record<string, T | T[]> {
+  const values: Record<string, T | T[]> = {};
+  forEach((value, name) => {
+    if (!(name in values)) {
+      values[name] = value;
+    } else if (Array.isArray(values[name])) {
+      (values[name] as T[]).push(value);
+    } else {
+      values[name] = [values[name] as T, value];
+    }
+  });
+  return values;
+}
+
+/**
+ * Parse a Cookie header into a name/value map
+ */
+export function parseCookies(header: string | null): Record<string, string> {
+  const cookies: Record<string, string> = {};
+  if (!header) {
+    return cookies;
+  }
+
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+    if (index === -1) {
+      continue;
+    }
+    const name = pair.slice(0, index).trim();
+    let value = pair.slice(index + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+      }
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * Parse a request body based on its Content-Type:
+ * - JSON (`application/json`, `*+json`) → parsed value
+ * - `application/x-www-form-urlencoded` and `multipart/form-data` → object of
+ *   fields, with `File`s for uploads and arrays for repeated fields
+ * - `text/*` → string
+ * - anything else → ArrayBuffer
+ *
+ * Requests without a body resolve to an empty object. Malformed bodies throw
+ * a BadRequestError so the client gets a 400.
+ */
+export async function parseBody(request: Request): Promise<unknown> {
+  if (!request.body) {
+    return {};
+  }
+
+  const contentType = (request.headers.get('Content-Type') || '').toLowerCase();
+  const mediaType = contentType.split(';')[0].trim();
+
+  if (mediaType === 'application/json' || mediaType.endsWith('+json')) {
+    const text = await request.text();
+    if (text.trim() === '') {
+      return {};
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new BadRequestError('Invalid JSON body', { cause: error });
+    }
+  }
+
+  if (mediaType === 'application/x-www-form-urlencoded' || mediaType === 'multipart/form-data') {
+    let form: FormData;
+    try {
+      form = await request.formData();
+    } catch (error) {
+      throw new BadRequestError('Invalid form body', { cause: error });
+    }
+    return collectValues<FormDataEntryValue>(callback => form.forEach(callback)) as FormValues;
+  }
+
+  if (mediaType.startsWith('text/') || mediaType === '') {
+    return request.text();
+  }
+
+  try {
+    return await request.arrayBuffer();
+  } catch (error) {
+    throw new BadRequestError('Could not read request body', { cause: error });
+  }
+}
+
+/**
+ * Create the context for a request. The body is parsed on first use and cached.
+ */
+export function createContext(request: Request, url: URL): RequestContext {
+  let body: Promise<unknown> | null = null;
+  let cookies: Record<string, string> | null = null;
+  const responseHeaders = new Headers();
+
+  return {
+    request,
+    url,
+    params: {},
+    state: {},
+    responseHeaders,
+    htmx: new Htmx(request.headers, responseHeaders),
+    partial: isPartialRequest(request.headers),
+    deferOrder: 'out-of-order',
+    webContentsId: webContentsIdFromHeaders(request.headers),
+    get webContents() {
+      return findWebContents(this.webContentsId);
+    },
+    get window() {
+      return findWindow(this.webContentsId);
+    },
+    query: collectValues<string>(callback => url.searchParams.forEach(callback)),
+    headers: request.headers,
+    get cookies() {
+      cookies ??= parseCookies(request.headers.get('Cookie'));
+      return cookies;
+    },
+    header(name: string) {
+      return request.headers.get(name) ?? undefined;
+    },
+    body<T = any>() {
+      body ??= parseBody(request);
+      return body as Promise<T>;
+    },
+    html: htmlResponse,
+    json: jsonResponse,
+    text: textResponse,
+    redirect: redirectResponse,
+    noContent: noContentResponse,
+    stream: streamResponse,
+  };
+}
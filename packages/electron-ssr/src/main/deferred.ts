@@ -0,0 +1,319 @@
+import { AsyncResource } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { DeferOptions, DeferOrder } from './types';
+import {
+  contentToString,
+  DEFERRED_MARKER_PREFIX,
+  deferredSections,
+  DeferredSections,
+  HtmlRenderable,
+  HtmlValue,
+  isRenderingSync,
+  RENDER_HTML,
+  renderValue
+} from './html';
+
+/**
+ * Collector for the response being rendered, so `defer()` values can
+ * register themselves from inside templates and components
+ */
+function currentCollector(): DeferredCollector | undefined {
+  return deferredSections.getStore() as DeferredCollector | undefined;
+}
+
+/**
+ * Client-side function moving resolved sections into their placeholders.
+ * A nested section can arrive before its parent is in the page, so sections
+ * are moved until no placeholder is left to fill. Content swapped in this way
+ * is processed by htmx; Alpine and Datastar pick it up through their
+ * mutation observers.
+ */
+const RESOLVE_SCRIPT = '<script>function __ssrResolve(){'
+  + 'for(var moved=true;moved;){moved=false;'
+  + 'document.querySelectorAll("template[data-ssr-resolve]").forEach(function(t){'
+  + 'var p=document.getElementById("ssr-deferred-"+t.getAttribute("data-ssr-resolve"));'
+  + 'if(!p)return;var n=Array.prototype.slice.call(t.content.childNodes);'
+  + 'p.replaceWith(t.content);t.remove();moved=true;'
+  + 'if(window.htmx)n.forEach(function(e){if(e.nodeType===1)htmx.process(e)})})}'
+  + 'if(document.currentScript)document.currentScript.remove()}</script>';
+
+/**
+ * Content that is streamed after the rest of the page, see `defer()`
+ */
+export class Deferred implements HtmlRenderable {
+  public readonly value: HtmlValue;
+  public readonly options: DeferOptions;
+
+  constructor(value: HtmlValue, options: DeferOptions = {}) {
+    this.value = value;
+    this.options = options;
+
+    // The promise is only awaited once its turn comes; until then a rejection
+    // must not be reported as unhandled
+    if (typeof (value as PromiseLike<unknown> | null)?.then === 'function') {
+      Promise.resolve(value as PromiseLike<unknown>).catch(() => {});
+    }
+  }
+
+  /**
+   * Render a placeholder when the response is streamed, otherwise wait for
+   * the content and render it in place. Inside `contentToString()` it renders
+   * in place too. `html` templates render eagerly, so a template built before
+   * it was passed to `contentToString()` holds a marker instead, which
+   * `DeferredCollector.inline()` resolves.
+   */
+  public [RENDER_HTML](): string | Promise<string> {
+    const collector = currentCollector();
+    if (!collector || isRenderingSync()) {
+      return renderDeferred(this, error => {
+        throw error;
+      });
+    }
+    return collector.streaming ? collector.add(this) : renderDeferred(this, collector.onError);
+  }
+}
+
+/**
+ * Render deferred content, or its error content when it fails
+ */
+function renderDeferred(deferred: Deferred, onError: (error: unknown) => void): string | Promise<string> {
+  const fail = (error: unknown): string => {
+    const { error: errorContent } = deferred.options;
+    if (errorContent === undefined) {
+      onError(error);
+      return '';
+    }
+    return contentToString(typeof errorContent === 'function' ? errorContent(error) : errorContent);
+  };
+
+  // Content that is already available renders synchronously
+  try {
+    const markup = renderValue(deferred.value);
+    return typeof markup === 'string' ? markup : markup.catch(fail);
+  } catch (error) {
+    return fail(error);
+  }
+}
+
+/**
+ * Defer part of a page: the rest of the page is sent right away and this
+ * content is streamed once its promise resolves. Work starts as soon as the
+ * promise is created, so deferred sections load in parallel.
+ *
+ * ```javascript
+ * ssr.get('/', () => html`
+ *   <h1>Notes</h1>
+ *   ${defer(loadNotes().then(renderNotes), { fallback: html`<p>Loading…</p>` })}
+ * `);
+ * ```
+ *
+ * Partial htmx and Datastar requests, and content rendered outside a route,
+ * wait for the promise and render it in place.
+ */
+export function defer(value: HtmlValue, options: DeferOptions = {}): Deferred {
+  return new Deferred(value, options);
+}
+
+/**
+ * Collects the deferred sections of one response and streams them
+ */
+export class DeferredCollector implements DeferredSections {
+  /** Whether deferred sections are streamed, rather than rendered in place */
+  public readonly streaming: boolean;
+  /** Called with errors of sections that have no error content */
+  public readonly onError: (error: unknown) => void;
+  private readonly marker: string = randomUUID();
+  private readonly pattern: RegExp = new RegExp(`${DEFERRED_MARKER_PREFIX}${this.marker}:(\\d+)-->`, 'g');
+  private readonly entries: Map<number, { deferred: Deferred; restore: <R>(fn: () => R) => R }> = new Map();
+  private nextId: number = 0;
+
+  constructor(streaming: boolean, onError: (error: unknown) => void) {
+    this.streaming = streaming;
+    this.onError = onError;
+  }
+
+  /**
+   * Number of deferred sections registered so far
+   */
+  public get size(): number {
+    return this.entries.size;
+  }
+
+  /**
+   * Run a function with this collector receiving the `defer()` values it renders
+   */
+  public run<T>(fn: () => T): T {
+    return deferredSections.run(this, fn);
+  }
+
+  /**
+   * Check whether markup contains sections of this response
+   */
+  public marks(markup: string): boolean {
+    return markup.includes(`${DEFERRED_MARKER_PREFIX}${this.marker}:`);
+  }
+
+  /**
+   * Render the sections marked in markup in place when they are available
+   * synchronously. Markers of sections still loading are left as they are.
+   */
+  public inline(markup: string): string {
+    return markup.replace(this.pattern, (marker, id: string) => {
+      const section = this.render(Number(id));
+      if (typeof section !== 'string') {
+        section.catch(() => {});
+        return marker;
+      }
+      return this.inline(section);
+    });
+  }
+
+  /**
+   * Render the sections marked in markup in place, waiting for them
+   */
+  public async inlineAsync(markup: string): Promise<string> {
+    const ids = [...markup.matchAll(this.pattern)].map(match => Number(match[1]));
+    const sections = await Promise.all(ids.map(async id => this.inlineAsync(await this.render(id))));
+    let index = 0;
+    return markup.replace(this.pattern, () => sections[index++]);
+  }
+
+  /**
+   * Render the sections marked in a text response in place, for handlers
+   * that return a Response built from a template. Other responses are
+   * returned as they are.
+   */
+  public inlineBody(response: Response): Response {
+    const type = response.headers.get('Content-Type') ?? 'text/';
+    if (!response.body || this.size === 0 || !type.startsWith('text/')) {
+      return response;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    let pending = '';
+    const body = new ReadableStream<Uint8Array>({
+      pull: async controller => {
+        const { done, value } = await reader.read();
+        pending += decoder.decode(value, { stream: !done });
+        // A marker may continue in the next chunk
+        const open = pending.lastIndexOf('<');
+        const end = done || open === -1 || pending.includes('>', open) ? pending.length : open;
+        const ready = pending.slice(0, end);
+        pending = pending.slice(end);
+        if (ready) {
+          controller.enqueue(encoder.encode(this.marks(ready) ? await this.inlineAsync(ready) : ready));
+        }
+        if (done) {
+          controller.close();
+        }
+      },
+      cancel: reason => reader.cancel(reason),
+    });
+
+    // The length changes when sections are rendered in
+    const headers = new Headers(response.headers);
+    headers.delete('Content-Length');
+    return new Response(body, { status: response.status, statusText: response.statusText, headers });
+  }
+
+  /**
+   * Register a deferred section and return a marker for its position. The
+   * marker is replaced when streaming, so the order can still be chosen
+   * after the page is rendered.
+   */
+  public add(deferred: Deferred): string {
+    const id = ++this.nextId;
+    // Keep the async context, so JSX context values still apply when the section renders
+    this.entries.set(id, { deferred, restore: AsyncResource.bind(<R>(fn: () => R): R => fn()) });
+    return `${DEFERRED_MARKER_PREFIX}${this.marker}:${id}-->`;
+  }
+
+  /**
+   * Stream a rendered page, followed or interleaved with its deferred sections
+   */
+  public stream(page: string, order: DeferOrder): AsyncGenerator<string> {
+    return order === 'in-order' ? this.streamInOrder(page) : this.streamOutOfOrder(page);
+  }
+
+  /**
+   * Replace section markers with placeholder elements showing the fallbacks.
+   * A custom element can sit anywhere a `<span>` can, even inside a `<p>`.
+   * The ids of the sections found are added to `found`.
+   */
+  private placeholders(markup: string, found: number[]): string {
+    return markup.replace(this.pattern, (_marker, id: string) => {
+      found.push(Number(id));
+      const { fallback } = this.entries.get(Number(id))!.deferred.options;
+      const content = fallback === undefined ? '' : contentToString(fallback);
+      return `<ssr-deferred id="ssr-deferred-${id}" style="display: contents">${content}</ssr-deferred>`;
+    });
+  }
+
+  /**
+   * Send the page, then each section in it as soon as it resolves, in a
+   * template that replaces its placeholder. Sections go before `</body>`
+   * when there is one. Sections that were rendered elsewhere, such as in
+   * `ctx.html()`, are not sent.
+   */
+  private async *streamOutOfOrder(page: string): AsyncGenerator<string> {
+    const bodyEnd = page.lastIndexOf('</body>');
+    const found: number[] = [];
+    const head = this.placeholders(bodyEnd === -1 ? page : page.slice(0, bodyEnd), found);
+    const tail = this.placeholders(bodyEnd === -1 ? '' : page.slice(bodyEnd), found);
+
+    yield head + RESOLVE_SCRIPT;
+
+    const running = new Map<number, Promise<{ id: number; markup: string }>>();
+    const started = new Set<number>();
+    const startFound = () => {
+      for (const id of found.splice(0)) {
+        if (!started.has(id)) {
+          started.add(id);
+          running.set(id, Promise.resolve(this.render(id)).then(markup => ({ id, markup })));
+        }
+      }
+    };
+
+    startFound();
+    while (running.size > 0) {
+      const { id, markup } = await Promise.race(running.values());
+      running.delete(id);
+      const section = this.placeholders(markup, found);
+      // A section may contain nested sections
+      startFound();
+      yield `<template data-ssr-resolve="${id}">${section}</template><script>__ssrResolve()</script>`;
+    }
+
+    yield tail;
+  }
+
+  /**
+   * Send the page up to each section, wait for the section, and continue
+   */
+  private async *streamInOrder(markup: string): AsyncGenerator<string> {
+    let index = 0;
+
+    for (const match of markup.matchAll(this.pattern)) {
+      if (match.index! > index) {
+        yield markup.slice(index, match.index);
+      }
+      yield* this.streamInOrder(await this.render(Number(match[1])));
+      index = match.index! + match[0].length;
+    }
+
+    if (index < markup.length) {
+      yield markup.slice(index);
+    }
+  }
+
+  /**
+   * Render a section in the async context it was created in, so nested
+   * sections are deferred too
+   */
+  private render(id: number): string | Promise<string> {
+    const { deferred, restore } = this.entries.get(id)!;
+    return restore(() => renderDeferred(deferred, this.onError));
+  }
+}
@@ -0,0 +1,62 @@
+import { RequestContext } from './types';
+import { escapeHtml } from './html';
+
+/**
+ * Render a two-column table of name/value pairs
+ */
+function renderTable(rows: Array<[string, string]>): string {
+  if (rows.length === 0) {
+    return '<p class="ssr-error-empty">None</p>';
+  }
+  return `<table>${rows
+    .map(([name, value]) => `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('')}</table>`;
+}
+
+/**
+ * Render the debug error page with the stack trace and request details.
+ * htmx requests get the fragment only, so it can be swapped into the page.
+ */
+export function renderErrorPage(error: Error, status: number, ctx: RequestContext): string {
+  const { request, url, params } = ctx;
+  const headers: Array<[string, string]> = [];
+  request.headers.forEach((value, name) => headers.push([name, value]));
+  const query: Array<[string, string]> = [];
+  url.searchParams.forEach((value, name) => query.push([name, value]));
+
+  const fragment = `
+<section class="ssr-error" style="font-family: ui-monospace, monospace; font-size: 13px; color: #1f2328; background: #fff5f5; border: 1px solid #f5c2c2; border-radius: 6px; padding: 16px; margin: 16px; overflow: auto;">
+  <style>
+    .ssr-error h1 { font-size: 18px; margin: 0 0 4px; color: #b42318; }
+    .ssr-error h2 { font-size: 14px; margin: 16px 0 6px; }
+    .ssr-error pre { white-space: pre-wrap; margin: 0; }
+    .ssr-error table { border-collapse: collapse; }
+    .ssr-error th, .ssr-error td { text-align: left; vertical-align: top; padding: 2px 12px 2px 0; }
+    .ssr-error th { font-weight: 600; }
+  </style>
+  <h1>${status} ${escapeHtml(error.name)}: ${escapeHtml(error.message)}</h1>
+  <p>${escapeHtml(request.method)} ${escapeHtml(url.href)}</p>
+  <h2>Stack trace</h2>
+  <pre>${escapeHtml(error.stack || String(error))}</pre>
+  <h2>Route params</h2>
+  ${renderTable(Object.entries(params))}
+  <h2>Query</h2>
+  ${renderTable(query)}
+  <h2>Request headers</h2>
+  ${renderTable(headers)}
+</section>`;
+
+  if (request.headers.get('HX-Request') === 'true') {
+    return fragment;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${status} ${escapeHtml(error.message)}</title>
+</head>
+<body style="margin: 0;">${fragment}
+</body>
+</html>`;
+}
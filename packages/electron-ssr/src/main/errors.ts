@@ -0,0 +1,104 @@
+/**
+ * Default messages for the status codes used by the error classes below
+ */
+const STATUS_MESSAGES: Record<number, string> = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  409: 'Conflict',
+  413: 'Payload Too Large',
+  415: 'Unsupported Media Type',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable',
+};
+
+/**
+ * Options for creating an HttpError
+ */
+export interface HttpErrorOptions {
+  /** Extra response headers, e.g. `Allow` or `Retry-After` */
+  headers?: HeadersInit;
+  /** The underlying error */
+  cause?: unknown;
+}
+
+/**
+ * An error that maps to an HTTP status code. Throw it from a route handler or
+ * middleware and the request is answered with that status.
+ */
+export class HttpError extends Error {
+  public readonly status: number;
+  public readonly headers: Headers;
+  /** Whether the message is safe to show to the client (true below 500) */
+  public readonly expose: boolean;
+
+  constructor(status: number, message?: string, options: HttpErrorOptions = {}) {
+    super(message || STATUS_MESSAGES[status] || `HTTP ${status}`, { cause: options.cause });
+    this.name = 'HttpError';
+    this.status = status;
+    this.headers = new Headers(options.headers);
+    this.expose = status < 500;
+  }
+}
+
+export class BadRequestError extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(400, message, options);
+    this.name = 'BadRequestError';
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(401, message, options);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(403, message, options);
+    this.name = 'ForbiddenError';
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(404, message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+export class MethodNotAllowedError extends HttpError {
+  constructor(allowed: string[], message?: string, options: HttpErrorOptions = {}) {
+    const headers = new Headers(options.headers);
+    headers.set('Allow', allowed.join(', '));
+    super(405, message, { ...options, headers });
+    this.name = 'MethodNotAllowedError';
+  }
+}
+
+export class ConflictError extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(409, message, options);
+    this.name = 'ConflictError';
+  }
+}
+
+export class UnprocessableEntityError extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(422, message, options);
+    this.name = 'UnprocessableEntityError';
+  }
+}
+
+export class InternalServerError extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(500, message, options);
+    this.name = 'InternalServerError';
+  }
+}
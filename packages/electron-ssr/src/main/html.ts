@@ -0,0 +1,257 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * HTML that is trusted and inserted into `html` templates as-is.
+ * Converts to its markup, so it also works in plain template literals.
+ */
+export class SafeHtml {
+  public readonly value: string;
+
+  constructor(value: string) {
+    this.value = value;
+  }
+
+  public toString(): string {
+    return this.value;
+  }
+}
+
+/**
+ * Key of the method that renders an object, such as a JSX element, to markup
+ */
+export const RENDER_HTML = Symbol.for('ssr-electron.renderHtml');
+
+/**
+ * Start of the comment marking where a section created with `defer()` goes
+ * until the response is streamed
+ */
+export const DEFERRED_MARKER_PREFIX = '<!--ssr-deferred:';
+
+/**
+ * The deferred sections of the response being rendered
+ */
+export interface DeferredSections {
+  /**
+   * Render the sections marked in markup in place, where they are available
+   * synchronously
+   */
+  inline(markup: string): string;
+}
+
+/**
+ * Sections of the response being rendered, so markup built earlier in the
+ * request can still render them in place
+ */
+export const deferredSections = new AsyncLocalStorage<DeferredSections>();
+
+/**
+ * Number of `contentToString()` calls in progress, during which deferred
+ * sections render in place
+ */
+let syncRenders = 0;
+
+/**
+ * Check whether content is being rendered synchronously by `contentToString()`
+ */
+export function isRenderingSync(): boolean {
+  return syncRenders > 0;
+}
+
+/**
+ * An object that renders itself to markup, resolving to a promise when it
+ * contains async components
+ */
+export interface HtmlRenderable {
+  [RENDER_HTML](): string | Promise<string>;
+}
+
+/**
+ * HTML accepted by route handlers, layouts and the SSE helpers: trusted
+ * markup as a string, an `html` template or a JSX element
+ */
+export type HtmlContent = string | SafeHtml | HtmlRenderable;
+
+/**
+ * Values accepted in `html` templates. `null`, `undefined` and `false`
+ * render nothing, so `${done && html`<s>done</s>`}` works.
+ */
+export type HtmlValue =
+  | string
+  | number
+  | bigint
+  | boolean
+  | null
+  | undefined
+  | SafeHtml
+  | HtmlRenderable
+  | PromiseLike<HtmlValue>
+  | readonly HtmlValue[];
+
+/**
+ * Whether a template value is or contains a promise: `true`, `false`, or
+ * `'maybe'` for JSX elements, which are async when they contain async components
+ */
+type ContainsPromise<T> = T extends PromiseLike<unknown>
+  ? true
+  : T extends HtmlRenderable
+    ? 'maybe'
+    : T extends readonly (infer U)[]
+      ? ContainsPromise<U>
+      : false;
+
+/**
+ * What an `html` template returns for the given values
+ */
+type TemplateResult<T> = true extends ContainsPromise<T>
+  ? Promise<SafeHtml>
+  : 'maybe' extends ContainsPromise<T>
+    ? SafeHtml | Promise<SafeHtml>
+    : SafeHtml;
+
+/**
+ * Escape text for use in HTML content and double- or single-quoted attributes
+ */
+export function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Mark markup as trusted so `html` templates insert it without escaping.
+ * Only use it for HTML you built yourself, never for user input.
+ */
+export function raw(value: string | SafeHtml): SafeHtml {
+  return value instanceof SafeHtml ? value : new SafeHtml(String(value));
+}
+
+/**
+ * Check whether a value renders itself, like a JSX element
+ */
+export function isRenderable(value: unknown): value is HtmlRenderable {
+  return typeof (value as HtmlRenderable | null)?.[RENDER_HTML] === 'function';
+}
+
+/**
+ * Check whether a value is a promise or thenable
+ */
+export function isPromiseLike(value: unknown): value is PromiseLike<unknown> {
+  return typeof (value as PromiseLike<unknown> | null)?.then === 'function';
+}
+
+/**
+ * Join rendered parts, waiting for them only when some are still pending
+ */
+export function joinParts(parts: Array<string | Promise<string>>): string | Promise<string> {
+  if (parts.every(part => typeof part === 'string')) {
+    return parts.join('');
+  }
+  return Promise.all(parts).then(resolved => resolved.join(''));
+}
+
+/**
+ * Render a template value: escape text, keep SafeHtml, render JSX elements,
+ * flatten arrays and wait for promises
+ */
+export function renderValue(value: unknown): string | Promise<string> {
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+  if (isRenderable(value)) {
+    return value[RENDER_HTML]();
+  }
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+  if (isPromiseLike(value)) {
+    return Promise.resolve(value).then(renderValue);
+  }
+  if (Array.isArray(value)) {
+    return joinParts(value.map(renderValue));
+  }
+  return escapeHtml(String(value));
+}
+
+/**
+ * Tagged template for HTML. Interpolated values are escaped unless they are
+ * SafeHtml, from `raw()` or a nested `html` template. Arrays are flattened,
+ * so lists can be rendered with `map()`.
+ *
+ * When a value is a promise, the template resolves to a `Promise<SafeHtml>`
+ * once every promise has settled, otherwise it returns SafeHtml directly.
+ *
+ * ```javascript
+ * ssr.get('/notes', () => html`<ul>${notes.map(note => html`<li>${note.title}</li>`)}</ul>`);
+ * ```
+ */
+export function html<T extends HtmlValue[]>(
+  strings: TemplateStringsArray,
+  ...values: T
+): TemplateResult<T[number]>;
+export function html(strings: TemplateStringsArray, ...values: HtmlValue[]): SafeHtml | Promise<SafeHtml> {
+  const parts: Array<string | Promise<string>> = [strings[0]];
+  values.forEach((value, index) => {
+    parts.push(renderValue(value), strings[index + 1]);
+  });
+
+  const markup = joinParts(parts);
+  return typeof markup === 'string' ? new SafeHtml(markup) : markup.then(value => new SafeHtml(value));
+}
+
+/**
+ * Check whether a value is HTML content rather than, say, a Response
+ */
+export function isHtmlContent(value: unknown): value is HtmlContent {
+  return typeof value === 'string' || value instanceof SafeHtml || isRenderable(value);
+}
+
+/**
+ * Render HTML content to markup. Strings are trusted markup and returned
+ * as-is; JSX elements are rendered, waiting for async components.
+ */
+export async function renderContent(content: HtmlContent): Promise<string> {
+  return typeof content === 'string' ? content : renderValue(content);
+}
+
+/**
+ * Render HTML content to markup synchronously, for helpers that cannot wait.
+ * Deferred sections render in place, including the ones a template built
+ * earlier in the request marked for streaming. Throws when a JSX element
+ * contains async components, and when a deferred section is still pending,
+ * since only the HTML a route returns is streamed.
+ */
+export function contentToString(content: HtmlContent): string {
+  let markup: string | Promise<string>;
+  syncRenders++;
+  try {
+    markup = typeof content === 'string' ? content : renderValue(content);
+    if (typeof markup === 'string' && markup.includes(DEFERRED_MARKER_PREFIX)) {
+      markup = deferredSections.getStore()?.inline(markup) ?? markup;
+    }
+  } finally {
+    syncRenders--;
+  }
+
+  if (typeof markup !== 'string') {
+    markup.catch(() => {});
+    throw new Error('Content with async components must be rendered first, with `await render(content)`');
+  }
+  if (markup.includes(DEFERRED_MARKER_PREFIX)) {
+    throw new Error(
+      'defer() sections still loading are only streamed in the HTML a route handler returns; '
+      + 'return the template instead of passing it to ctx.html(), oob() or a broadcast'
+    );
+  }
+  return markup;
+}
+
+/**
+ * Render HTML content or a template value to SafeHtml, waiting for async
+ * components and promises. Strings are escaped like in `html` templates.
+ */
+export async function render(value: HtmlValue): Promise<SafeHtml> {
+  return new SafeHtml(await renderValue(value));
+}
@@ -0,0 +1,188 @@
+import { HtmxLocation, HtmxSwap, HtmxSwapStyle, OobFragment } from './types';
+import { contentToString, escapeHtml, HtmlContent } from './html';
+
+/**
+ * Response headers that carry events, in the order htmx fires them
+ */
+type TriggerHeader = 'HX-Trigger' | 'HX-Trigger-After-Swap' | 'HX-Trigger-After-Settle';
+
+/**
+ * htmx protocol helpers for one request: reads the `HX-*` request headers and
+ * sets `HX-*` response headers, which are added to whatever response the
+ * handler returns.
+ *
+ * See https://htmx.org/reference/#headers
+ */
+export class Htmx {
+  private readonly requestHeaders: Headers;
+  private readonly responseHeaders: Headers;
+  private readonly triggers: Map<TriggerHeader, Map<string, unknown>> = new Map();
+
+  constructor(requestHeaders: Headers, responseHeaders: Headers) {
+    this.requestHeaders = requestHeaders;
+    this.responseHeaders = responseHeaders;
+  }
+
+  /** True when the request was made by htmx (`HX-Request`) */
+  public get isRequest(): boolean {
+    return this.requestHeaders.get('HX-Request') === 'true';
+  }
+
+  /** True when the request comes from an element using `hx-boost` (`HX-Boosted`) */
+  public get boosted(): boolean {
+    return this.requestHeaders.get('HX-Boosted') === 'true';
+  }
+
+  /** True when htmx is restoring history after a cache miss (`HX-History-Restore-Request`) */
+  public get historyRestoreRequest(): boolean {
+    return this.requestHeaders.get('HX-History-Restore-Request') === 'true';
+  }
+
+  /** The id of the target element, if it has one (`HX-Target`) */
+  public get target(): string | undefined {
+    return this.requestHeaders.get('HX-Target') ?? undefined;
+  }
+
+  /** The id of the triggered element, if it has one (`HX-Trigger`) */
+  public get trigger(): string | undefined {
+    return this.requestHeaders.get('HX-Trigger') ?? undefined;
+  }
+
+  /** The name of the triggered element, if it has one (`HX-Trigger-Name`) */
+  public get triggerName(): string | undefined {
+    return this.requestHeaders.get('HX-Trigger-Name') ?? undefined;
+  }
+
+  /** The URL of the page the request was made from (`HX-Current-URL`) */
+  public get currentUrl(): string | undefined {
+    return this.requestHeaders.get('HX-Current-URL') ?? undefined;
+  }
+
+  /** The user's answer to an `hx-prompt` (`HX-Prompt`) */
+  public get prompt(): string | undefined {
+    return this.requestHeaders.get('HX-Prompt') ?? undefined;
+  }
+
+  /**
+   * Trigger a client-side event as soon as the response is received.
+   * Calling it several times triggers several events.
+   */
+  public triggerEvent(event: string, detail?: unknown): Htmx {
+    return this.addTrigger('HX-Trigger', event, detail);
+  }
+
+  /** Trigger a client-side event after the swap step (`HX-Trigger-After-Swap`) */
+  public triggerAfterSwap(event: string, detail?: unknown): Htmx {
+    return this.addTrigger('HX-Trigger-After-Swap', event, detail);
+  }
+
+  /** Trigger a client-side event after the settle step (`HX-Trigger-After-Settle`) */
+  public triggerAfterSettle(event: string, detail?: unknown): Htmx {
+    return this.addTrigger('HX-Trigger-After-Settle', event, detail);
+  }
+
+  /** Do a full-page redirect to a new location (`HX-Redirect`) */
+  public redirect(url: string): Htmx {
+    this.responseHeaders.set('HX-Redirect', url);
+    return this;
+  }
+
+  /** Do a client-side redirect without a full reload (`HX-Location`) */
+  public location(location: string | HtmxLocation): Htmx {
+    this.responseHeaders.set('HX-Location', typeof location === 'string' ? location : JSON.stringify(location));
+    return this;
+  }
+
+  /** Do a full refresh of the page (`HX-Refresh`) */
+  public refresh(): Htmx {
+    this.responseHeaders.set('HX-Refresh', 'true');
+    return this;
+  }
+
+  /** Push a URL into the history stack, or `false` to prevent it (`HX-Push-Url`) */
+  public pushUrl(url: string | false): Htmx {
+    this.responseHeaders.set('HX-Push-Url', url === false ? 'false' : url);
+    return this;
+  }
+
+  /** Replace the current URL in the location bar, or `false` to prevent it (`HX-Replace-Url`) */
+  public replaceUrl(url: string | false): Htmx {
+    this.responseHeaders.set('HX-Replace-Url', url === false ? 'false' : url);
+    return this;
+  }
+
+  /** Swap into a different element, by CSS selector (`HX-Retarget`) */
+  public retarget(selector: string): Htmx {
+    this.responseHeaders.set('HX-Retarget', selector);
+    return this;
+  }
+
+  /** Change how the response is swapped (`HX-Reswap`) */
+  public reswap(swap: HtmxSwap): Htmx {
+    this.responseHeaders.set('HX-Reswap', swap);
+    return this;
+  }
+
+  /** Swap only part of the response, by CSS selector (`HX-Reselect`) */
+  public reselect(selector: string): Htmx {
+    this.responseHeaders.set('HX-Reselect', selector);
+    return this;
+  }
+
+  /**
+   * Record an event and rewrite its header. Events without details are sent
+   * as a comma-separated list, otherwise as a JSON object of event → detail.
+   */
+  private addTrigger(header: TriggerHeader, event: string, detail: unknown): Htmx {
+    let events = this.triggers.get(header);
+    if (!events) {
+      events = new Map();
+      this.triggers.set(header, events);
+    }
+    events.set(event, detail);
+
+    const withDetail = [...events.values()].some(value => value !== undefined);
+    const value = withDetail
+      ? JSON.stringify(Object.fromEntries([...events].map(([name, value]) => [name, value ?? null])))
+      : [...events.keys()].join(', ');
+
+    this.responseHeaders.set(header, value);
+    return this;
+  }
+}
+
+/**
+ * Describe an out-of-band swap: `html` is swapped into the element matching
+ * `selector`, wherever it is on the page.
+ */
+export function oob(selector: string, html: HtmlContent, swap: HtmxSwapStyle = 'outerHTML'): OobFragment {
+  return { selector, html: contentToString(html), swap };
+}
+
+/**
+ * Serialize an out-of-band fragment with its `hx-swap-oob` attribute.
+ *
+ * htmx strips the wrapping element for every strategy except `outerHTML`,
+ * so those fragments are wrapped in a `<div>`. For `outerHTML` the fragment
+ * itself replaces the target, so the attribute goes on its root element.
+ */
+export function renderOobFragment({ selector, html, swap }: OobFragment): string {
+  const attribute = `hx-swap-oob="${escapeHtml(`${swap}:${selector}`)}"`;
+
+  if (swap !== 'outerHTML') {
+    return `<div ${attribute}>${html}</div>`;
+  }
+
+  const rootTag = /^(\s*<[a-zA-Z][\w-]*)/.exec(html);
+  if (!rootTag) {
+    throw new Error(`An outerHTML out-of-band fragment for "${selector}" must start with an element`);
+  }
+  return `${rootTag[1]} ${attribute}${html.slice(rootTag[1].length)}`;
+}
+
+/**
+ * Serialize a main fragment followed by out-of-band fragments
+ */
+export function renderOob(main: HtmlContent, fragments: OobFragment[]): string {
+  return [contentToString(main), ...fragments.map(renderOobFragment)].join('\n');
+}
@@ -0,0 +1,188 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { contentToString, escapeHtml, HtmlValue, joinParts, RENDER_HTML, renderValue, SafeHtml } from './html';
+
+/**
+ * Props passed to a component, including its children
+ */
+export type Props = Record<string, any> & { children?: HtmlValue };
+
+/**
+ * A function component. It may be async, e.g. to read a file before rendering.
+ */
+export type Component<P = Props> = (props: P) => HtmlValue | Promise<HtmlValue>;
+
+/**
+ * Renders its children without a wrapping element
+ */
+export const Fragment = Symbol.for('ssr-electron.fragment');
+
+/**
+ * Elements that have no closing tag
+ */
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+/**
+ * JSX prop names that differ from their HTML attribute
+ */
+const ATTRIBUTE_ALIASES: Record<string, string> = {
+  className: 'class',
+  htmlFor: 'for',
+};
+
+/**
+ * Context values for the component being rendered. Async local storage keeps
+ * them available after an `await` inside an async component.
+ */
+const contextStorage = new AsyncLocalStorage<Map<Context<unknown>, unknown>>();
+
+/**
+ * A value passed down the component tree without threading it through props
+ */
+export interface Context<T> {
+  /** Provides `value` to every component rendered inside it */
+  Provider: Component<{ value: T; children?: HtmlValue }>;
+  defaultValue: T;
+}
+
+/**
+ * Create a context with a default value for components rendered outside a
+ * Provider.
+ *
+ * ```tsx
+ * const Theme = createContext('light');
+ * const Button = () => <button class={useContext(Theme)}>Save</button>;
+ * <Theme.Provider value="dark"><Button /></Theme.Provider>
+ * ```
+ */
+export function createContext<T>(defaultValue: T): Context<T> {
+  const context: Context<T> = {
+    defaultValue,
+    Provider: ({ value, children }) => {
+      const values = new Map(contextStorage.getStore());
+      values.set(context as Context<unknown>, value);
+      return toSafeHtml(contextStorage.run(values, () => renderValue(children)));
+    },
+  };
+  return context;
+}
+
+/**
+ * Read the value of the nearest Provider above the component being rendered
+ */
+export function useContext<T>(context: Context<T>): T {
+  const values = contextStorage.getStore();
+  return values?.has(context as Context<unknown>) ? (values.get(context as Context<unknown>) as T) : context.defaultValue;
+}
+
+/**
+ * Wrap rendered markup so it is not escaped again by the parent
+ */
+function toSafeHtml(markup: string | Promise<string>): SafeHtml | Promise<SafeHtml> {
+  return typeof markup === 'string' ? new SafeHtml(markup) : markup.then(value => new SafeHtml(value));
+}
+
+/**
+ * Convert a camelCase style object to CSS declarations
+ */
+function renderStyle(style: Record<string, unknown>): string {
+  return Object.entries(style)
+    .filter(([, value]) => value !== null && value !== undefined && value !== false)
+    .map(([name, value]) => `${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}:${value}`)
+    .join(';');
+}
+
+/**
+ * Render element props as HTML attributes. `true` renders a bare attribute,
+ * `null`, `undefined` and `false` omit it, and objects are serialized as
+ * JSON, as expected by `data-signals` and `hx-vals`.
+ */
+function renderAttributes(props: Props): string {
+  let attributes = '';
+
+  for (const [name, value] of Object.entries(props)) {
+    if (name === 'children' || name === 'key' || name === 'dangerouslySetInnerHTML') {
+      continue;
+    }
+    if (value === null || value === undefined || value === false) {
+      continue;
+    }
+
+    const attribute = ATTRIBUTE_ALIASES[name] ?? name;
+    if (value === true) {
+      attributes += ` ${attribute}`;
+      continue;
+    }
+
+    let text: string;
+    if (value instanceof SafeHtml) {
+      text = escapeHtml(value.value);
+    } else if (attribute === 'style' && typeof value === 'object') {
+      text = escapeHtml(renderStyle(value));
+    } else if (typeof value === 'object') {
+      text = escapeHtml(JSON.stringify(value));
+    } else {
+      text = escapeHtml(String(value));
+    }
+    attributes += ` ${attribute}="${text}"`;
+  }
+
+  return attributes;
+}
+
+/**
+ * An element created by JSX. It is rendered lazily, so context providers
+ * above it apply, and can be returned from route handlers and layouts or
+ * interpolated into `html` templates.
+ */
+export class JsxElement {
+  public readonly type: string | Component<any> | typeof Fragment;
+  public readonly props: Props;
+
+  constructor(type: string | Component<any> | typeof Fragment, props: Props) {
+    this.type = type;
+    this.props = props;
+  }
+
+  /**
+   * Render to markup, resolving to a promise when an async component is involved
+   */
+  public [RENDER_HTML](): string | Promise<string> {
+    const { type, props } = this;
+
+    if (type === Fragment) {
+      return renderValue(props.children);
+    }
+    if (typeof type === 'function') {
+      return renderValue(type(props));
+    }
+
+    const open = `<${type}${renderAttributes(props)}>`;
+    if (VOID_ELEMENTS.has(type)) {
+      return open;
+    }
+
+    const inner = props.dangerouslySetInnerHTML
+      ? String(props.dangerouslySetInnerHTML.__html ?? '')
+      : renderValue(props.children);
+    return joinParts([open, inner, `</${type}>`]);
+  }
+
+  /**
+   * Render synchronously, e.g. in a plain template literal. Throws when an
+   * async component is involved; use `await render(element)` instead.
+   */
+  public toString(): string {
+    return contentToString(this);
+  }
+}
+
+/**
+ * Create a JSX element, called by the compiled JSX. Keys are accepted for
+ * compatibility but unused, since nothing is reconciled.
+ */
+export function jsx(type: string | Component<any> | typeof Fragment, props: Props, _key?: string | number): JsxElement {
+  return new JsxElement(type, props);
+}
@@ -0,0 +1,200 @@
+import { BroadcastLatestOptions, SSEConnection } from './types';
+import { formatEvent } from './sse';
+import { isPromiseLike } from './html';
+
+/**
+ * Frame rate used when none is given
+ */
+const DEFAULT_FPS = 30;
+
+/**
+ * A key sent with `broadcastLatest()`
+ */
+interface LatestEntry {
+  /** Called once per frame for the value to send, possibly a promise */
+  producer: () => unknown;
+  event: string;
+  topic?: string;
+  fps: number;
+}
+
+/**
+ * A value produced for one frame and the connections it goes to
+ */
+interface LatestValue {
+  key: string;
+  event: string;
+  value: unknown;
+  receivers: SSEConnection[];
+}
+
+/**
+ * Sends the newest value of each key at most once per frame, to the
+ * connections that do not have it yet. Keys with the same frame rate share a
+ * timer, so a connection gets all of its changed keys in one write.
+ */
+export class LatestBroadcaster {
+  private entries: Map<string, LatestEntry> = new Map();
+  private timers: Map<number, NodeJS.Timeout> = new Map();
+  /** Entries whose async producer has not settled yet */
+  private pending: WeakSet<LatestEntry> = new WeakSet();
+  /** The frame each connection last received per key */
+  private sent: WeakMap<SSEConnection, Map<string, string>> = new WeakMap();
+  private connections: () => Set<SSEConnection>;
+  private onError: (key: string, error: unknown) => void;
+
+  constructor(connections: () => Set<SSEConnection>, onError: (key: string, error: unknown) => void) {
+    this.connections = connections;
+    this.onError = onError;
+  }
+
+  /**
+   * Set the producer of a key, replacing the previous one. A function is
+   * called once per frame and may return a promise; any other value is sent
+   * as it is until the key is set again.
+   */
+  public set(key: string, producer: unknown, options: BroadcastLatestOptions = {}): void {
+    const previous = this.entries.get(key);
+    this.entries.set(key, {
+      producer: typeof producer === 'function' ? (producer as () => unknown) : () => producer,
+      event: options.event ?? previous?.event ?? key,
+      topic: options.topic ?? previous?.topic,
+      fps: Math.max(1, options.fps ?? previous?.fps ?? DEFAULT_FPS),
+    });
+    this.resume();
+  }
+
+  /**
+   * Stop sending a key. Returns false when it was not set.
+   */
+  public delete(key: string): boolean {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Start the timers of every frame rate in use, e.g. when a connection opens
+   */
+  public resume(): void {
+    if (this.connections().size === 0) {
+      return;
+    }
+    for (const { fps } of this.entries.values()) {
+      if (!this.timers.has(fps)) {
+        const timer = setInterval(() => this.flush(fps), 1000 / fps);
+        // Frames alone should not keep the process alive
+        timer.unref?.();
+        this.timers.set(fps, timer);
+      }
+    }
+  }
+
+  /**
+   * Stop all timers until the next `resume()`
+   */
+  public pause(): void {
+    for (const timer of this.timers.values()) {
+      clearInterval(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Send the keys of one frame rate. Producers are only called for keys that
+   * some connection receives, and connections still reading an earlier frame
+   * are skipped; they get the newest value once they catch up.
+   *
+   * A key whose producer returns a promise is sent on its own once it
+   * resolves, and skips the frames due until then. Other keys are not held
+   * up, even by a promise that never settles.
+   */
+  private flush(fps: number): void {
+    const entries = [...this.entries].filter(([, entry]) => entry.fps === fps);
+    const connections = this.connections();
+    if (entries.length === 0 || connections.size === 0) {
+      clearInterval(this.timers.get(fps));
+      this.timers.delete(fps);
+      return;
+    }
+
+    const ready = [...connections].filter(connection => !connection.closed && connection.metrics.behindSince === null);
+    const values: LatestValue[] = [];
+
+    for (const [key, entry] of entries) {
+      if (this.pending.has(entry)) {
+        continue;
+      }
+      const receivers = entry.topic === undefined
+        ? ready
+        : ready.filter(connection => connection.isSubscribed(entry.topic!));
+      if (receivers.length === 0) {
+        continue;
+      }
+
+      let value: unknown;
+      try {
+        value = entry.producer();
+      } catch (error) {
+        this.onError(key, error);
+        continue;
+      }
+
+      if (isPromiseLike(value)) {
+        this.pending.add(entry);
+        Promise.resolve(value).then(
+          resolved => {
+            this.pending.delete(entry);
+            // The key may have been set again or stopped meanwhile
+            if (this.entries.get(key) === entry) {
+              this.send([{ key, event: entry.event, value: resolved, receivers }]);
+            }
+          },
+          error => {
+            this.pending.delete(entry);
+            this.onError(key, error);
+          }
+        );
+      } else {
+        values.push({ key, event: entry.event, value, receivers });
+      }
+    }
+
+    this.send(values);
+  }
+
+  /**
+   * Write the values of one frame, one batch per connection, skipping the
+   * ones a connection already has
+   */
+  private send(values: LatestValue[]): void {
+    const batches: Map<SSEConnection, string> = new Map();
+
+    for (const { key, event, value, receivers } of values) {
+      let frame: string;
+      try {
+        frame = formatEvent(event, value);
+      } catch (error) {
+        this.onError(key, error);
+        continue;
+      }
+
+      for (const connection of receivers) {
+        if (connection.closed) {
+          continue;
+        }
+        let sent = this.sent.get(connection);
+        if (!sent) {
+          sent = new Map();
+          this.sent.set(connection, sent);
+        }
+        if (sent.get(key) !== frame) {
+          sent.set(key, frame);
+          batches.set(connection, (batches.get(connection) ?? '') + frame);
+        }
+      }
+    }
+
+    for (const [connection, batch] of batches) {
+      connection.write(batch);
+    }
+  }
+}
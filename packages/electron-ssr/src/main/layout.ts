@@ -0,0 +1,43 @@
+import { Layout, LayoutSelection, Middleware, RequestContext } from './types';
+import { raw, renderContent } from './html';
+
+/**
+ * Check whether a request only wants a fragment: an htmx request that swaps
+ * part of the page, or a Datastar request. Boosted links and history restores
+ * replace the whole page, so they get the full document.
+ */
+export function isPartialRequest(headers: Headers): boolean {
+  if (headers.get('Datastar-Request') === 'true') {
+    return true;
+  }
+  return headers.get('HX-Request') === 'true'
+    && headers.get('HX-Boosted') !== 'true'
+    && headers.get('HX-History-Restore-Request') !== 'true';
+}
+
+/**
+ * Wrap content in layouts, innermost (last) first
+ */
+export async function applyLayouts(content: string, layouts: Layout[], ctx: RequestContext): Promise<string> {
+  let html = content;
+  for (let index = layouts.length - 1; index >= 0; index--) {
+    html = await renderContent(await layouts[index](raw(html), ctx));
+  }
+  return html;
+}
+
+/**
+ * Route middleware selecting the layout for a route: the name of a layout
+ * registered with `ssr.layout(name, fn)`, a layout function, or `false` to
+ * send the fragment without a layout.
+ *
+ * ```javascript
+ * ssr.get('/print/:id', useLayout('print'), handler);
+ * ```
+ */
+export function useLayout(selection: LayoutSelection): Middleware {
+  return (ctx, next) => {
+    ctx.layout = selection;
+    return next();
+  };
+}
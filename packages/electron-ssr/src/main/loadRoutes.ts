@@ -0,0 +1,162 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { Middleware, RouteHandler } from './types';
+import { ANY_METHOD } from './Router';
+import { compilePattern } from './routeMatcher';
+
+/**
+ * Module exports that become routes, mapped to their HTTP method
+ */
+const METHOD_EXPORTS: Record<string, string> = {
+  GET: 'GET',
+  HEAD: 'HEAD',
+  POST: 'POST',
+  PUT: 'PUT',
+  PATCH: 'PATCH',
+  DELETE: 'DELETE',
+  OPTIONS: 'OPTIONS',
+  ALL: ANY_METHOD,
+};
+
+/**
+ * File extensions that are loaded as route modules
+ */
+const ROUTE_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+/**
+ * A route found in a route module
+ */
+export interface LoadedRoute {
+  method: string;
+  path: string;
+  handler: RouteHandler;
+  middleware: Middleware[];
+  /** Absolute path of the module that exported the handler */
+  file: string;
+}
+
+/**
+ * Convert a file path relative to the routes directory into a route path:
+ * - `index.js` → `/`, `notes/index.js` → `/notes`
+ * - `notes/[id].js` → `/notes/:id`
+ * - `archive/[[year]].js` → `/archive/:year?`
+ * - `files/[...path].js` → `/files/*path`
+ */
+export function routePathFromFile(relativeFile: string): string {
+  const withoutExtension = relativeFile.slice(0, -path.extname(relativeFile).length);
+  const segments = withoutExtension.split(path.sep);
+  if (segments[segments.length - 1] === 'index') {
+    segments.pop();
+  }
+
+  const converted = segments.map(segment => {
+    let match = /^\[\[(\w+)\]\]$/.exec(segment);
+    if (match) {
+      return `:${match[1]}?`;
+    }
+    match = /^\[\.\.\.(\w+)\]$/.exec(segment);
+    if (match) {
+      return `*${match[1]}`;
+    }
+    match = /^\[(\w+)\]$/.exec(segment);
+    if (match) {
+      return `:${match[1]}`;
+    }
+    return segment;
+  });
+
+  return `/${converted.join('/')}`;
+}
+
+/**
+ * Recursively list route module files, sorted for a stable registration order.
+ * Files and directories starting with `_` or `.` are skipped.
+ */
+async function listRouteFiles(dir: string): Promise<string[]> {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  const files: string[] = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('_') || entry.name.startsWith('.')) {
+      continue;
+    }
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listRouteFiles(fullPath));
+    } else if (ROUTE_EXTENSIONS.includes(path.extname(entry.name)) && !entry.name.endsWith('.d.ts')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Import a route module, whether it is ESM or CommonJS
+ */
+async function importRouteModule(file: string): Promise<Record<string, unknown>> {
+  const mod = await import(/* @vite-ignore */ pathToFileURL(file).href);
+  // CommonJS modules may only expose their exports through `default`
+  const fallback = mod.default && typeof mod.default === 'object' ? mod.default : {};
+  return { ...fallback, ...mod };
+}
+
+/**
+ * Load every route module in a directory. Each module exports handlers named
+ * after HTTP methods (`GET`, `POST`, ..., or `ALL`) and may export a
+ * `middleware` array that applies to all of its handlers.
+ *
+ * Throws when two modules resolve to the same method and path shape, e.g.
+ * `notes/[id].js` and `notes/[slug].js`, or `notes.js` and `notes/index.js`.
+ */
+export async function loadRouteModules(dir: string): Promise<LoadedRoute[]> {
+  const root = path.resolve(dir);
+  const files = await listRouteFiles(root);
+  const routes: LoadedRoute[] = [];
+  const seen = new Map<string, LoadedRoute>();
+  const conflicts: string[] = [];
+
+  for (const file of files) {
+    const routePath = routePathFromFile(path.relative(root, file));
+    const mod = await importRouteModule(file);
+
+    const middleware = mod.middleware ?? [];
+    if (!Array.isArray(middleware)) {
+      throw new Error(`Route module ${file} must export "middleware" as an array`);
+    }
+
+    for (const [name, method] of Object.entries(METHOD_EXPORTS)) {
+      const handler = mod[name];
+      if (handler === undefined) {
+        continue;
+      }
+      if (typeof handler !== 'function') {
+        throw new Error(`Route module ${file} exports "${name}" but it is not a function`);
+      }
+
+      const route: LoadedRoute = { method, path: routePath, handler: handler as RouteHandler, middleware, file };
+      const key = routeShapeKey(method, routePath);
+      const existing = seen.get(key);
+      if (existing) {
+        conflicts.push(`${method} ${routePath}: ${existing.file} and ${file}`);
+        continue;
+      }
+      seen.set(key, route);
+      routes.push(route);
+    }
+  }
+
+  if (conflicts.length > 0) {
+    throw new Error(`Conflicting routes in ${root}:\n  ${conflicts.join('\n  ')}`);
+  }
+
+  return routes;
+}
+
+/**
+ * Key identifying which requests a route matches, ignoring param names
+ */
+export function routeShapeKey(method: string, routePath: string): string {
+  return `${method}:${compilePattern(routePath).regex.source}`;
+}
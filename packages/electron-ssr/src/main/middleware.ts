@@ -0,0 +1,43 @@
+import { Middleware, RequestContext, RouteHandler, RouteHandlers } from './types';
+
+/**
+ * Compose middleware around a final handler, koa-style. Each middleware
+ * receives the context and a `next` function that runs the rest of the chain.
+ */
+export function compose(
+  middleware: Middleware[],
+  handler: (ctx: RequestContext) => Promise<Response> | Response
+): (ctx: RequestContext) => Promise<Response> {
+  return (ctx: RequestContext) => {
+    let lastIndex = -1;
+
+    const dispatch = async (index: number): Promise<Response> => {
+      if (index <= lastIndex) {
+        throw new Error('next() called multiple times');
+      }
+      lastIndex = index;
+
+      if (index === middleware.length) {
+        return handler(ctx);
+      }
+      return middleware[index](ctx, () => dispatch(index + 1));
+    };
+
+    return dispatch(0);
+  };
+}
+
+/**
+ * Split route arguments into the route middleware and the final handler
+ */
+export function splitHandlers<H = RouteHandler>(
+  handlers: [...Middleware[], H]
+): { middleware: Middleware[]; handler: H } {
+  if (handlers.length === 0) {
+    throw new Error('A route needs a handler');
+  }
+  return {
+    middleware: handlers.slice(0, -1) as Middleware[],
+    handler: handlers[handlers.length - 1] as H,
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * A broadcast event kept for replay, with its formatted frame
+ */
+interface ReplayEntry {
+  id: number;
+  frame: string;
+}
+
+/**
+ * Ring buffer of the latest events broadcast to one topic
+ */
+class ReplayBuffer {
+  public size: number;
+  private entries: ReplayEntry[] = [];
+  /** Id of the newest event that no longer fits, 0 when none was dropped */
+  private droppedId: number = 0;
+
+  constructor(size: number) {
+    this.size = size;
+  }
+
+  public push(entry: ReplayEntry): void {
+    this.entries.push(entry);
+    this.trim();
+  }
+
+  /**
+   * Drop the oldest events beyond the buffer size
+   */
+  public trim(): void {
+    const excess = this.entries.length - this.size;
+    if (excess > 0) {
+      this.droppedId = this.entries[excess - 1].id;
+      this.entries.splice(0, excess);
+    }
+  }
+
+  /**
+   * Events newer than `lastId`, or null when some of them were dropped
+   */
+  public since(lastId: number): ReplayEntry[] | null {
+    if (this.droppedId > lastId) {
+      return null;
+    }
+    return this.entries.filter(entry => entry.id > lastId);
+  }
+}
+
+/**
+ * Numbers broadcast events and keeps the latest ones per topic, and the
+ * events sent to one window per webContents, so clients reconnecting with
+ * `Last-Event-ID` can catch up. Ids are shared by all topics and windows and
+ * increase monotonically for the lifetime of the app.
+ */
+export class EventHistory {
+  private defaultSize: number;
+  private sizes: Map<string | null, number> = new Map();
+  private buffers: Map<string | null, ReplayBuffer> = new Map();
+  private windows: Map<number, ReplayBuffer> = new Map();
+  private currentId: number = 0;
+
+  constructor(defaultSize: number) {
+    this.defaultSize = defaultSize;
+  }
+
+  /**
+   * Id of the latest event
+   */
+  public get lastId(): number {
+    return this.currentId;
+  }
+
+  /**
+   * Reserve the id of the next event
+   */
+  public nextId(): number {
+    return ++this.currentId;
+  }
+
+  /**
+   * Set how many events are kept for a topic; `null` is the topic of
+   * `broadcastContent()`, which reaches every connection
+   */
+  public setSize(topic: string | null, size: number): void {
+    this.sizes.set(topic, Math.max(0, Math.floor(size)));
+    const buffer = this.buffers.get(topic);
+    if (buffer) {
+      buffer.size = this.sizes.get(topic)!;
+      buffer.trim();
+    }
+  }
+
+  /**
+   * Keep a broadcast event for replay
+   */
+  public record(topic: string | null, id: number, frame: string): void {
+    let buffer = this.buffers.get(topic);
+    if (!buffer) {
+      buffer = new ReplayBuffer(this.sizes.get(topic) ?? this.defaultSize);
+      this.buffers.set(topic, buffer);
+    }
+    buffer.push({ id, frame });
+  }
+
+  /**
+   * Keep an event sent to the connections of one webContents for replay
+   */
+  public recordFor(webContentsId: number, id: number, frame: string): void {
+    let buffer = this.windows.get(webContentsId);
+    if (!buffer) {
+      buffer = new ReplayBuffer(this.defaultSize);
+      this.windows.set(webContentsId, buffer);
+    }
+    buffer.push({ id, frame });
+  }
+
+  /**
+   * Check whether events were kept for a webContents
+   */
+  public hasWindow(webContentsId: number): boolean {
+    return this.windows.has(webContentsId);
+  }
+
+  /**
+   * Drop the events kept for a webContents, once it is destroyed
+   */
+  public forget(webContentsId: number): void {
+    this.windows.delete(webContentsId);
+  }
+
+  /**
+   * Frames a client missed since `lastId`, in order, from the topics it
+   * receives and the events sent to its webContents. Returns null when they
+   * cannot all be replayed: some were dropped from a buffer, or the id is
+   * from before the app started.
+   */
+  public missed(
+    lastId: number,
+    receives: (topic: string | null) => boolean,
+    webContentsId?: number
+  ): string[] | null {
+    if (lastId > this.currentId) {
+      return null;
+    }
+
+    const buffers = [...this.buffers].filter(([topic]) => receives(topic)).map(([, buffer]) => buffer);
+    const window = webContentsId === undefined ? undefined : this.windows.get(webContentsId);
+    if (window) {
+      buffers.push(window);
+    }
+
+    const entries: ReplayEntry[] = [];
+    for (const buffer of buffers) {
+      const since = buffer.since(lastId);
+      if (since === null) {
+        return null;
+      }
+      entries.push(...since);
+    }
+
+    return entries.sort((a, b) => a.id - b.id).map(entry => entry.frame);
+  }
+}
+
+/**
+ * Read the id of the last event a client received: the `Last-Event-ID`
+ * header sent by EventSource when it reconnects, or a `lastEventId` query
+ * parameter for pages that open a new connection after a reload
+ */
+export function lastEventIdFrom(request: Request, url: URL): number | undefined {
+  const value = request.headers.get('Last-Event-ID') ?? url.searchParams.get('lastEventId');
+  if (value === null || value.trim() === '') {
+    return undefined;
+  }
+  const id = Number(value);
+  return Number.isInteger(id) && id >= 0 ? id : undefined;
+}
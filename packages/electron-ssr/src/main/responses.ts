@@ -0,0 +1,136 @@
+import { ResponseOptions, StreamSource } from './types';
+import { contentToString, HtmlContent } from './html';
+
+/**
+ * Cache-Control for generated responses. Dynamic content is rendered per
+ * request, so it is never reused from the cache unless a route says so.
+ */
+const DEFAULT_CACHE_CONTROL = 'no-store';
+
+/**
+ * Build response headers, filling in the content type and cache policy
+ * unless the caller already set them
+ */
+function buildHeaders(contentType: string | null, options: ResponseOptions): Headers {
+  const headers = new Headers(options.headers);
+  if (contentType && !headers.has('Content-Type')) {
+    headers.set('Content-Type', contentType);
+  }
+  if (!headers.has('Cache-Control')) {
+    headers.set('Cache-Control', options.cacheControl ?? DEFAULT_CACHE_CONTROL);
+  }
+  return headers;
+}
+
+/**
+ * Respond with HTML (`text/html; charset=utf-8`)
+ */
+export function htmlResponse(body: HtmlContent, options: ResponseOptions = {}): Response {
+  return new Response(contentToString(body), { ...options, headers: buildHeaders('text/html; charset=utf-8', options) });
+}
+
+/**
+ * Respond with JSON (`application/json; charset=utf-8`)
+ */
+export function jsonResponse(data: unknown, options: ResponseOptions = {}): Response {
+  return new Response(JSON.stringify(data), {
+    ...options,
+    headers: buildHeaders('application/json; charset=utf-8', options),
+  });
+}
+
+/**
+ * Respond with plain text (`text/plain; charset=utf-8`)
+ */
+export function textResponse(body: string, options: ResponseOptions = {}): Response {
+  return new Response(body, { ...options, headers: buildHeaders('text/plain; charset=utf-8', options) });
+}
+
+/**
+ * Redirect to another location, with a 302 by default. Use 303 after a form
+ * POST so the browser follows with a GET.
+ */
+export function redirectResponse(location: string, status: number = 302, options: ResponseOptions = {}): Response {
+  if (status < 300 || status > 399) {
+    throw new RangeError(`Invalid redirect status ${status}`);
+  }
+  const headers = buildHeaders(null, options);
+  headers.set('Location', location);
+  return new Response(null, { ...options, status, headers });
+}
+
+/**
+ * Respond with 204 No Content
+ */
+export function noContentResponse(options: ResponseOptions = {}): Response {
+  return new Response(null, { ...options, status: 204, headers: buildHeaders(null, options) });
+}
+
+/**
+ * Convert a stream source into a web ReadableStream of bytes. Strings are
+ * UTF-8 encoded; cancelling the response stops the source.
+ */
+export function toReadableStream(source: StreamSource): ReadableStream<Uint8Array> {
+  if (source instanceof ReadableStream) {
+    return source;
+  }
+
+  const encoder = new TextEncoder();
+  const iterator = Symbol.asyncIterator in source
+    ? (source as AsyncIterable<string | Uint8Array>)[Symbol.asyncIterator]()
+    : (source as Iterable<string | Uint8Array>)[Symbol.iterator]();
+
+  return new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(typeof value === 'string' ? encoder.encode(value) : value);
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    async cancel(reason) {
+      await iterator.return?.(reason);
+    },
+  });
+}
+
+/**
+ * Stream a response body from an async iterable, an iterable, a Node.js
+ * Readable or a web ReadableStream. Defaults to `text/html; charset=utf-8`.
+ */
+export function streamResponse(source: StreamSource, options: ResponseOptions = {}): Response {
+  return new Response(toReadableStream(source) as unknown as BodyInit, {
+    ...options,
+    headers: buildHeaders('text/html; charset=utf-8', options),
+  });
+}
+
+/**
+ * Add headers to a response. Responses with immutable headers, such as
+ * `Response.redirect()`, are copied first.
+ */
+export function withHeaders(response: Response, extra: Headers): Response {
+  const entries: Array<[string, string]> = [];
+  extra.forEach((value, name) => entries.push([name, value]));
+  if (entries.length === 0) {
+    return response;
+  }
+
+  try {
+    for (const [name, value] of entries) {
+      response.headers.set(name, value);
+    }
+    return response;
+  } catch {
+    const headers = new Headers(response.headers);
+    for (const [name, value] of entries) {
+      headers.set(name, value);
+    }
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+  }
+}
@@ -0,0 +1,149 @@
+import { RouteParams } from './types';
+
+/**
+ * Segment weights used to rank patterns, from most to least specific.
+ * The end of a pattern ranks between a named param and an optional one so
+ * that `/notes` wins over `/notes/:id?` and `/notes/*` for the path `/notes`.
+ */
+const SCORE_STATIC = 4;
+const SCORE_PARAM = 3;
+const SCORE_END = 2;
+const SCORE_OPTIONAL = 1;
+const SCORE_WILDCARD = 0;
+
+/**
+ * A route path compiled into a regular expression
+ */
+export interface CompiledPattern {
+  /** The normalized source pattern, e.g. `/notes/:id` */
+  path: string;
+  regex: RegExp;
+  keys: string[];
+  /** Whether the last key is a trailing wildcard */
+  wildcard: boolean;
+  /** Per-segment weights, compared lexicographically to order routes */
+  score: number[];
+}
+
+/**
+ * Escape a static path segment for use inside a RegExp
+ */
+function escapeRegex(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalize a path: ensure a leading slash and drop a trailing one
+ */
+export function normalizePath(path: string): string {
+  let normalized = path.startsWith('/') ? path : `/${path}`;
+  normalized = normalized.replace(/\/{2,}/g, '/');
+  if (normalized.length > 1 && normalized.endsWith('/')) {
+    normalized = normalized.slice(0, -1);
+  }
+  return normalized;
+}
+
+/**
+ * Join a mount prefix and a route path
+ */
+export function joinPaths(prefix: string, path: string): string {
+  return normalizePath(`${prefix}/${path}`);
+}
+
+/**
+ * Compile a route pattern.
+ *
+ * Supported syntax:
+ * - `/notes` static segments
+ * - `/notes/:id` named params
+ * - `/notes/:id?` optional params
+ * - `/files/*` or `/files/*path` trailing wildcard (stored as `*` or `path`)
+ */
+export function compilePattern(path: string): CompiledPattern {
+  const normalized = normalizePath(path);
+  const segments = normalized === '/' ? [] : normalized.slice(1).split('/');
+  const keys: string[] = [];
+  const score: number[] = [];
+  let wildcard = false;
+  let source = '';
+
+  segments.forEach((segment, index) => {
+    if (segment.startsWith('*')) {
+      if (index !== segments.length - 1) {
+        throw new Error(`Wildcard must be the last segment in route "${path}"`);
+      }
+      wildcard = true;
+      keys.push(segment.slice(1) || '*');
+      score.push(SCORE_WILDCARD);
+      source += '(?:/(.*))?';
+    } else if (segment.startsWith(':')) {
+      const optional = segment.endsWith('?');
+      const name = segment.slice(1, optional ? -1 : undefined);
+      if (!/^\w+$/.test(name)) {
+        throw new Error(`Invalid parameter name "${name}" in route "${path}"`);
+      }
+      if (keys.includes(name)) {
+        throw new Error(`Duplicate parameter "${name}" in route "${path}"`);
+      }
+      keys.push(name);
+      score.push(optional ? SCORE_OPTIONAL : SCORE_PARAM);
+      source += optional ? '(?:/([^/]+))?' : '/([^/]+)';
+    } else {
+      score.push(SCORE_STATIC);
+      source += `/${escapeRegex(segment)}`;
+    }
+  });
+
+  score.push(SCORE_END);
+
+  return {
+    path: normalized,
+    regex: new RegExp(`^${source}/?$`),
+    keys,
+    wildcard,
+    score,
+  };
+}
+
+/**
+ * Match a pathname against a compiled pattern, returning the decoded params
+ * or null when it does not match. A wildcard matching nothing, as for
+ * `/files` or `/files/` on `/files/*path`, is an empty string.
+ */
+export function matchPattern(pattern: CompiledPattern, pathname: string): RouteParams | null {
+  const match = pattern.regex.exec(pathname);
+  if (!match) {
+    return null;
+  }
+
+  const params: RouteParams = {};
+  pattern.keys.forEach((key, index) => {
+    const isWildcard = pattern.wildcard && index === pattern.keys.length - 1;
+    const value = match[index + 1] ?? (isWildcard ? '' : undefined);
+    if (value === undefined) {
+      return;
+    }
+    try {
+      params[key] = decodeURIComponent(value);
+    } catch {
+      params[key] = value;
+    }
+  });
+
+  return params;
+}
+
+/**
+ * Compare two patterns by specificity. Negative when `a` should be tried
+ * before `b`, zero when they rank the same (registration order then decides).
+ */
+export function comparePatterns(a: CompiledPattern, b: CompiledPattern): number {
+  const length = Math.min(a.score.length, b.score.length);
+  for (let i = 0; i < length; i++) {
+    if (a.score[i] !== b.score[i]) {
+      return b.score[i] - a.score[i];
+    }
+  }
+  return b.score.length - a.score.length;
+}
@@ -0,0 +1,239 @@
+import { SSEConnection } from './types';
+
+/**
+ * Datastar signals: a JSON object, possibly nested
+ */
+export type Signals = Record<string, any>;
+
+/**
+ * Delay before retrying connections that were behind during a sync
+ */
+const RETRY_DELAY = 100;
+
+/**
+ * Format a `datastar-merge-signals` event
+ */
+export function formatMergeSignals(signals: Signals): string {
+  return `event: datastar-merge-signals\ndata: signals ${JSON.stringify(signals)}\n\n`;
+}
+
+/**
+ * Format a `datastar-remove-signals` event for dot-separated signal paths
+ */
+export function formatRemoveSignals(paths: string[]): string {
+  return [
+    'event: datastar-remove-signals',
+    ...paths.map(path => `data: paths ${path}`)
+  ].join('\n') + '\n\n';
+}
+
+/**
+ * Check whether a value is a nested signal object rather than a value
+ */
+function isPlainObject(value: unknown): value is Signals {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Compare two signal objects. Returns the changed values as a nested patch
+ * for `datastar-merge-signals`, and adds the paths of deleted signals to
+ * `removed`. Arrays and other values are compared and sent as a whole.
+ */
+export function diffSignals(previous: Signals, next: Signals, removed: string[] = [], prefix: string = ''): Signals {
+  const patch: Signals = {};
+
+  for (const [key, value] of Object.entries(next)) {
+    const old = previous[key];
+    if (isPlainObject(value) && isPlainObject(old)) {
+      const nested = diffSignals(old, value, removed, `${prefix}${key}.`);
+      if (Object.keys(nested).length > 0) {
+        patch[key] = nested;
+      }
+    } else if (!(key in previous) || JSON.stringify(old) !== JSON.stringify(value)) {
+      patch[key] = value;
+    }
+  }
+
+  for (const key of Object.keys(previous)) {
+    if (!(key in next)) {
+      removed.push(`${prefix}${key}`);
+    }
+  }
+
+  return patch;
+}
+
+/**
+ * Merge a patch into signals. Nested objects are merged, `undefined`
+ * deletes a signal, and anything else replaces the old value.
+ */
+function mergeInto(target: Signals, patch: Signals): void {
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === undefined) {
+      delete target[key];
+    } else if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+}
+
+/**
+ * Server-side Datastar signals shared by the connected windows. Each change
+ * is compared with what every connection last received, and only the
+ * difference is sent: changed paths as `datastar-merge-signals`, deleted ones
+ * as `datastar-remove-signals`. A new connection gets the whole state.
+ *
+ * Changes made in the same tick are sent together.
+ */
+export class SignalStore {
+  private current: Signals = {};
+  /** The signals each connection last received, as JSON */
+  private connections: Map<SSEConnection, Signals> = new Map();
+  private scheduled: boolean = false;
+  private retryTimer: NodeJS.Timeout | null = null;
+
+  /**
+   * The current signals. Changes made to it directly are sent on the next
+   * `merge()`, `set()`, `remove()` or `sync()`.
+   */
+  public get state(): Signals {
+    return this.current;
+  }
+
+  /**
+   * Number of connected clients
+   */
+  public get size(): number {
+    return this.connections.size;
+  }
+
+  /**
+   * Merge changes into the signals. Nested objects are merged, and
+   * `undefined` removes a signal.
+   *
+   * ```javascript
+   * ssr.signals.merge({ counter: 1, user: { name: 'Ada' } });
+   * ```
+   */
+  public merge(patch: Signals): SignalStore {
+    mergeInto(this.current, structuredClone(patch));
+    return this.schedule();
+  }
+
+  /**
+   * Replace all signals. Signals missing from `state` are removed on the clients.
+   */
+  public set(state: Signals): SignalStore {
+    this.current = structuredClone(state);
+    return this.schedule();
+  }
+
+  /**
+   * Remove signals by their dot-separated paths, e.g. `user.name`
+   */
+  public remove(...paths: string[]): SignalStore {
+    for (const path of paths) {
+      const keys = path.split('.');
+      const last = keys.pop()!;
+      let parent: unknown = this.current;
+      for (const key of keys) {
+        parent = isPlainObject(parent) ? parent[key] : undefined;
+      }
+      if (isPlainObject(parent)) {
+        delete parent[last];
+      }
+    }
+    return this.schedule();
+  }
+
+  /**
+   * Send the signals to a connection and keep it up to date until it
+   * closes. It first receives the whole state.
+   *
+   * ```javascript
+   * ssr.sse('/updates', channel => {
+   *   channel.write(ssr.datastarConnected());
+   *   ssr.signals.connect(channel);
+   * });
+   * ```
+   */
+  public connect(connection: SSEConnection): SignalStore {
+    const snapshot = this.snapshot();
+    this.connections.set(connection, snapshot);
+    connection.onClose(() => this.connections.delete(connection));
+
+    if (Object.keys(snapshot).length > 0) {
+      connection.write(formatMergeSignals(snapshot));
+    }
+    return this;
+  }
+
+  /**
+   * Send pending changes to every connection now
+   */
+  public sync(): void {
+    this.scheduled = false;
+    const next = this.snapshot();
+    let waiting = false;
+
+    for (const [connection, received] of this.connections) {
+      if (connection.closed) {
+        this.connections.delete(connection);
+        continue;
+      }
+      // A connection that is behind gets the whole difference once it catches up
+      if (connection.metrics.behindSince !== null) {
+        waiting = true;
+        continue;
+      }
+
+      const removed: string[] = [];
+      const patch = diffSignals(received, next, removed);
+      let frames = '';
+      if (removed.length > 0) {
+        frames += formatRemoveSignals(removed);
+      }
+      if (Object.keys(patch).length > 0) {
+        frames += formatMergeSignals(patch);
+      }
+      if (frames) {
+        connection.write(frames);
+        this.connections.set(connection, next);
+      }
+    }
+
+    if (waiting && !this.retryTimer) {
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.sync();
+      }, RETRY_DELAY);
+      this.retryTimer.unref?.();
+    }
+  }
+
+  /**
+   * Send the changes once the current tick is done, so changes made
+   * together go out together
+   */
+  private schedule(): SignalStore {
+    if (!this.scheduled) {
+      this.scheduled = true;
+      queueMicrotask(() => {
+        if (this.scheduled) {
+          this.sync();
+        }
+      });
+    }
+    return this;
+  }
+
+  /**
+   * The signals as they are sent, so later changes to the state do not
+   * affect what connections are recorded to have received
+   */
+  private snapshot(): Signals {
+    return JSON.parse(JSON.stringify(this.current));
+  }
+}
@@ -0,0 +1,451 @@
+import { PassThrough, Readable } from 'stream';
+import { BrowserWindow, WebContents } from 'electron';
+import {
+  SSEBackpressureEvent,
+  SSEBackpressureOptions,
+  SSEConnection,
+  SSEConnectionMetrics,
+  SSEOverflowPolicy,
+  SSESendOptions
+} from './types';
+import { contentToString, isHtmlContent } from './html';
+import { lastEventIdFrom } from './replay';
+import { findWebContents, findWindow, webContentsIdFromHeaders } from './windows';
+
+/**
+ * Headers for event stream responses
+ */
+export const SSE_HEADERS: Record<string, string> = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+};
+
+/**
+ * Default bytes buffered, and queued, per connection
+ */
+const DEFAULT_HIGH_WATER_MARK = 64 * 1024;
+
+/**
+ * Options for a new channel: its backpressure settings and where to report
+ * backpressure events
+ */
+export interface SSEChannelOptions extends SSEBackpressureOptions {
+  onBackpressure?: (event: SSEBackpressureEvent) => void;
+}
+
+/**
+ * Normalize a topic: no leading, trailing or repeated slashes
+ */
+export function normalizeTopic(topic: string): string {
+  return topic.split('/').filter(Boolean).join('/');
+}
+
+/**
+ * Check whether a topic matches a pattern. Topics are `/`-separated; in the
+ * pattern `*` matches one segment and `**` any number of segments.
+ */
+function matchSegments(pattern: string[], topic: string[]): boolean {
+  if (pattern.length === 0) {
+    return topic.length === 0;
+  }
+  if (pattern[0] === '**') {
+    return pattern.length === 1 || topic.some((_, index) => matchSegments(pattern.slice(1), topic.slice(index)))
+      || matchSegments(pattern.slice(1), []);
+  }
+  if (topic.length === 0) {
+    return false;
+  }
+  return (pattern[0] === '*' || pattern[0] === topic[0]) && matchSegments(pattern.slice(1), topic.slice(1));
+}
+
+/**
+ * Check whether a subscription and a broadcast topic match. Either side may
+ * contain wildcards: subscribing to `notes/*` receives `notes/42`, and
+ * broadcasting to `notes/*` reaches subscribers of `notes/42`.
+ */
+export function topicsMatch(subscription: string, topic: string): boolean {
+  const subscriptionSegments = normalizeTopic(subscription).split('/');
+  const topicSegments = normalizeTopic(topic).split('/');
+  return matchSegments(subscriptionSegments, topicSegments) || matchSegments(topicSegments, subscriptionSegments);
+}
+
+/**
+ * Decode a path segment, keeping it as it is when it is not valid encoding
+ */
+function decodeSegment(segment: string): string {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+/**
+ * Read the topics a connection asks for: `?topics=a,b` and, for the `sse`
+ * scheme, the URL path (`sse://events/notes` subscribes to `notes`)
+ */
+export function topicsFromUrl(url: URL, includePath: boolean): string[] {
+  const topics: string[] = [];
+  if (includePath) {
+    const pathTopic = normalizeTopic(url.pathname.split('/').map(decodeSegment).join('/'));
+    if (pathTopic) {
+      topics.push(pathTopic);
+    }
+  }
+  for (const value of url.searchParams.getAll('topics')) {
+    topics.push(...value.split(',').map(normalizeTopic).filter(Boolean));
+  }
+  return topics;
+}
+
+/**
+ * Read the event name a frame is coalesced by. Data without an `event:` line
+ * is a `message`; comments, `retry:` hints and writes holding several events
+ * return null and are never coalesced.
+ */
+function eventNameOf(frame: string): string | null {
+  const events = frame.split('\n\n').filter(event => event.trim() !== '');
+  if (events.length !== 1) {
+    return null;
+  }
+  const lines = events[0].split('\n');
+  if (!lines.some(line => line.startsWith('data:'))) {
+    return null;
+  }
+  const name = lines.find(line => line.startsWith('event:'))?.replace(/^event: ?/, '');
+  return name || 'message';
+}
+
+/**
+ * Serialize event data: HTML content as markup, anything else as JSON
+ */
+function serializeData(data: unknown): string {
+  if (isHtmlContent(data)) {
+    return contentToString(data);
+  }
+  return JSON.stringify(data) ?? '';
+}
+
+/**
+ * Format a server-sent event. Multi-line data is split into one `data:`
+ * line per line, as the event stream format requires.
+ */
+export function formatEvent(event: string | null, data: unknown, options: SSESendOptions = {}): string {
+  let frame = '';
+  if (options.id !== undefined) {
+    frame += `id: ${String(options.id).replace(/[\r\n]/g, '')}\n`;
+  }
+  if (event) {
+    frame += `event: ${event.replace(/[\r\n]/g, '')}\n`;
+  }
+  if (options.retry !== undefined) {
+    frame += `retry: ${Math.max(0, Math.floor(options.retry))}\n`;
+  }
+  for (const line of serializeData(data).split(/\r\n|\r|\n/)) {
+    frame += `data: ${line}\n`;
+  }
+  return `${frame}\n`;
+}
+
+/**
+ * One open event stream. Created for each connection to the `sse` scheme
+ * and to routes registered with `ssr.sse()`.
+ */
+export class SSEChannel implements SSEConnection {
+  public readonly stream: PassThrough;
+  public readonly request: Request;
+  /** When the connection was opened, in milliseconds since the epoch */
+  public readonly connectedAt: number = Date.now();
+  /** Id of the webContents that opened the connection, when known */
+  public readonly webContentsId: number | undefined;
+  /** Id of the last event the client received before reconnecting */
+  public readonly lastEventId: number | undefined;
+  /** Topics this connection receives `broadcastTo()` events for */
+  public readonly topics: Set<string> = new Set();
+  private closeListeners: Set<() => void> = new Set();
+  private isClosed: boolean = false;
+  private highWaterMark: number;
+  private overflow: SSEOverflowPolicy;
+  private onBackpressure?: (event: SSEBackpressureEvent) => void;
+  /** Frames held back while the stream is full, oldest first */
+  private queue: string[] = [];
+  private queuedBytes: number = 0;
+  private waitingForDrain: boolean = false;
+  private behindSince: number | null = null;
+  private droppedFrames: number = 0;
+  private coalescedFrames: number = 0;
+
+  constructor(request: Request, topics: string[] = [], options: SSEChannelOptions = {}) {
+    this.request = request;
+    this.highWaterMark = options.highWaterMark ?? DEFAULT_HIGH_WATER_MARK;
+    this.overflow = options.overflow ?? 'drop-oldest';
+    this.onBackpressure = options.onBackpressure;
+    this.stream = new PassThrough({ highWaterMark: this.highWaterMark });
+    this.webContentsId = webContentsIdFromHeaders(request.headers);
+    this.lastEventId = lastEventIdFrom(request, new URL(request.url));
+    this.subscribe(...topics);
+
+    // The client went away, or the response stream was cancelled
+    request.signal.addEventListener('abort', () => this.close());
+    this.stream.on('close', () => this.close());
+  }
+
+  /**
+   * True once the connection is closed, by either side
+   */
+  public get closed(): boolean {
+    return this.isClosed;
+  }
+
+  /**
+   * The webContents that opened the connection, while it is alive
+   */
+  public get webContents(): WebContents | undefined {
+    return findWebContents(this.webContentsId);
+  }
+
+  /**
+   * The window that opened the connection, while it is open
+   */
+  public get window(): BrowserWindow | undefined {
+    return findWindow(this.webContentsId);
+  }
+
+  /**
+   * Backpressure state of the connection
+   */
+  public get metrics(): SSEConnectionMetrics {
+    return {
+      queuedFrames: this.queue.length,
+      queuedBytes: this.queuedBytes,
+      droppedFrames: this.droppedFrames,
+      coalescedFrames: this.coalescedFrames,
+      behindSince: this.behindSince,
+    };
+  }
+
+  /**
+   * Change the high-water mark or overflow policy of this connection, e.g. to
+   * coalesce the frames of a high-frequency route. The stream keeps the
+   * high-water mark it was created with.
+   */
+  public setBackpressure(options: SSEBackpressureOptions): SSEChannel {
+    this.highWaterMark = options.highWaterMark ?? this.highWaterMark;
+    this.overflow = options.overflow ?? this.overflow;
+    return this;
+  }
+
+  /**
+   * Subscribe to topics, e.g. `notes` or `notes/*`
+   */
+  public subscribe(...topics: string[]): SSEChannel {
+    for (const topic of topics) {
+      const normalized = normalizeTopic(topic);
+      if (normalized) {
+        this.topics.add(normalized);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Unsubscribe from topics, as they were subscribed
+   */
+  public unsubscribe(...topics: string[]): SSEChannel {
+    for (const topic of topics) {
+      this.topics.delete(normalizeTopic(topic));
+    }
+    return this;
+  }
+
+  /**
+   * Check whether `broadcastTo(topic)` reaches this connection
+   */
+  public isSubscribed(topic: string): boolean {
+    for (const subscription of this.topics) {
+      if (topicsMatch(subscription, topic)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Send an event. `data` may be a string, an `html` template or JSX, or any
+   * other value, which is sent as JSON. Without an event name the client
+   * receives a `message` event. Returns false when the connection is closed.
+   */
+  public send(event: string | null, data: unknown, options: SSESendOptions = {}): boolean {
+    return this.write(formatEvent(event, data, options));
+  }
+
+  /**
+   * Send a comment line, which clients ignore. Useful to keep a connection
+   * alive; skipped while the client is behind, since it has data to read.
+   */
+  public comment(text: string = ''): boolean {
+    if (this.waitingForDrain) {
+      return !this.isClosed;
+    }
+    return this.write(text.split(/\r\n|\r|\n/).map(line => `: ${line}\n`).join('') + '\n');
+  }
+
+  /**
+   * Write an already formatted frame, such as the output of the `datastar*`
+   * helpers. Returns false when the connection is closed. A stream that was
+   * destroyed without closing the channel closes it.
+   *
+   * When the client does not read fast enough, frames wait in a queue until
+   * the stream drains, and the overflow policy applies once the queue is
+   * over the high-water mark.
+   */
+  public write(frame: string): boolean {
+    if (this.isClosed) {
+      return false;
+    }
+    if (this.stream.destroyed) {
+      this.close();
+      return false;
+    }
+
+    if (this.waitingForDrain) {
+      this.enqueue(frame);
+      return !this.isClosed;
+    }
+
+    if (!this.stream.write(frame)) {
+      this.waitForDrain();
+      this.behindSince = Date.now();
+      this.report('behind', 0);
+    }
+    return true;
+  }
+
+  /**
+   * Queue a frame for a client that is behind, applying the overflow policy
+   */
+  private enqueue(frame: string): void {
+    if (this.overflow === 'coalesce') {
+      const event = eventNameOf(frame);
+      const before = this.queue.length;
+      if (event !== null) {
+        this.queue = this.queue.filter(queued => eventNameOf(queued) !== event);
+      }
+      if (this.queue.length < before) {
+        this.coalescedFrames += before - this.queue.length;
+        this.queuedBytes = this.queue.reduce((bytes, queued) => bytes + Buffer.byteLength(queued), 0);
+        this.report('coalesced', before - this.queue.length);
+      }
+    }
+
+    this.queue.push(frame);
+    this.queuedBytes += Buffer.byteLength(frame);
+    if (this.queuedBytes <= this.highWaterMark) {
+      return;
+    }
+
+    if (this.overflow === 'disconnect') {
+      this.report('disconnected', this.queue.length);
+      this.close();
+      return;
+    }
+
+    // Keep at least the newest frame
+    let dropped = 0;
+    while (this.queuedBytes > this.highWaterMark && this.queue.length > 1) {
+      this.queuedBytes -= Buffer.byteLength(this.queue.shift()!);
+      dropped++;
+    }
+    if (dropped > 0) {
+      this.droppedFrames += dropped;
+      this.report('dropped', dropped);
+    }
+  }
+
+  /**
+   * Write queued frames once the stream drains
+   */
+  private waitForDrain(): void {
+    this.waitingForDrain = true;
+    this.stream.once('drain', () => this.flush());
+  }
+
+  /**
+   * Write queued frames until the stream is full again or the queue is empty
+   */
+  private flush(): void {
+    this.waitingForDrain = false;
+    while (this.queue.length > 0 && !this.isClosed) {
+      const frame = this.queue.shift()!;
+      this.queuedBytes -= Buffer.byteLength(frame);
+      if (!this.stream.write(frame)) {
+        this.waitForDrain();
+        return;
+      }
+    }
+
+    if (this.behindSince !== null && !this.isClosed) {
+      this.behindSince = null;
+      this.report('recovered', 0);
+    }
+  }
+
+  /**
+   * Report a backpressure event
+   */
+  private report(type: SSEBackpressureEvent['type'], frames: number): void {
+    this.onBackpressure?.({
+      connection: this,
+      type,
+      frames,
+      queuedFrames: this.queue.length,
+      queuedBytes: this.queuedBytes,
+    });
+  }
+
+  /**
+   * Close the connection. The client's EventSource will try to reconnect
+   * unless the page closes it.
+   */
+  public close(): void {
+    if (this.isClosed) {
+      return;
+    }
+    this.isClosed = true;
+    this.queue = [];
+    this.queuedBytes = 0;
+
+    if (!this.stream.destroyed) {
+      this.stream.end();
+    }
+    for (const listener of this.closeListeners) {
+      listener();
+    }
+    this.closeListeners.clear();
+  }
+
+  /**
+   * Run a listener when the connection closes, e.g. to clear an interval.
+   * Runs right away if it is already closed. Returns a function removing it.
+   */
+  public onClose(listener: () => void): () => void {
+    if (this.isClosed) {
+      listener();
+      return () => {};
+    }
+    this.closeListeners.add(listener);
+    return () => {
+      this.closeListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Build the streaming response for this channel
+   */
+  public response(headers: HeadersInit = {}): Response {
+    const responseHeaders = new Headers(SSE_HEADERS);
+    new Headers(headers).forEach((value, name) => responseHeaders.set(name, value));
+    return new Response(Readable.toWeb(this.stream) as unknown as BodyInit, { headers: responseHeaders });
+  }
+}
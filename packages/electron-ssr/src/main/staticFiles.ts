@@ -0,0 +1,147 @@
+import { createReadStream, promises as fs, Stats } from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { RouteHandler, StaticOptions } from './types';
+import { NotFoundError } from './errors';
+
+/**
+ * MIME types by file extension. Text types get an explicit UTF-8 charset.
+ */
+const MIME_TYPES: Record<string, string> = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.bmp': 'image/bmp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.pdf': 'application/pdf',
+  '.wasm': 'application/wasm',
+};
+
+/**
+ * Look up the MIME type for a file path
+ */
+export function mimeType(filePath: string): string {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Weak ETag derived from the file size and modification time
+ */
+function createETag(stats: Stats): string {
+  return `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Check an If-None-Match header against the current ETag
+ */
+function isFresh(ifNoneMatch: string | null, etag: string): boolean {
+  if (!ifNoneMatch) {
+    return false;
+  }
+  if (ifNoneMatch.trim() === '*') {
+    return true;
+  }
+  // Weak comparison: W/"x" matches "x"
+  const strip = (tag: string) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(tag => strip(tag) === strip(etag));
+}
+
+/**
+ * Stat a file, returning null when it does not exist
+ */
+async function statFile(filePath: string): Promise<Stats | null> {
+  try {
+    return await fs.stat(filePath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stream a single file with its MIME type and validators, answering
+ * `If-None-Match` revalidation with a 304. Throws a NotFoundError for
+ * missing files.
+ */
+export async function serveFile(request: Request, filePath: string, cacheControl: string = 'no-cache'): Promise<Response> {
+  const stats = await statFile(filePath);
+  if (!stats || !stats.isFile()) {
+    throw new NotFoundError();
+  }
+
+  const etag = createETag(stats);
+  const headers = new Headers({
+    'Content-Type': mimeType(filePath),
+    'Content-Length': String(stats.size),
+    'Cache-Control': cacheControl,
+    'ETag': etag,
+    'Last-Modified': stats.mtime.toUTCString(),
+  });
+
+  if (isFresh(request.headers.get('If-None-Match'), etag)) {
+    headers.delete('Content-Length');
+    return new Response(null, { status: 304, headers });
+  }
+
+  // Stream the file instead of buffering it, so large assets stay cheap
+  const stream = Readable.toWeb(createReadStream(filePath));
+  return new Response(stream as unknown as BodyInit, { headers });
+}
+
+/**
+ * Create a route handler serving files from a directory. The handler must be
+ * registered on a wildcard route; the wildcard is the path inside the directory.
+ */
+export function createStaticHandler(dir: string, options: StaticOptions = {}): RouteHandler {
+  const root = path.resolve(dir);
+  const index = options.index === true ? 'index.html' : options.index || null;
+  const cacheControl = options.maxAge ? `public, max-age=${options.maxAge}` : 'no-cache';
+
+  return async (request, url, { params }) => {
+    const relative = params['*'] ?? '';
+
+    // Block traversal outside the root, null bytes and dotfiles
+    const filePath = path.resolve(root, `.${path.sep}${relative}`);
+    if (relative.includes('\0') || (filePath !== root && !filePath.startsWith(root + path.sep))) {
+      throw new NotFoundError();
+    }
+    if (!options.dotfiles && path.relative(root, filePath).split(path.sep).some(part => part.startsWith('.'))) {
+      throw new NotFoundError();
+    }
+
+    let target = filePath;
+    const stats = await statFile(target);
+    if (stats?.isDirectory()) {
+      if (!index) {
+        throw new NotFoundError();
+      }
+      target = path.join(filePath, index);
+    }
+
+    return serveFile(request, target, cacheControl);
+  };
+}
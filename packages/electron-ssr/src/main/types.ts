@@ -1,5 +1,7 @@
-import { Protocol } from 'electron';
+import { BrowserWindow, Protocol, WebContents } from 'electron';
 import { PassThrough } from 'stream';
+import type { Htmx } from './htmx';
+import type { HtmlContent, SafeHtml } from './html';
 
 /**
  * Options for configuring ElectronSSR
@@ -11,17 +13,299 @@ export interface ElectronSSROptions {
   httpScheme?: string;
   /** Custom SSE scheme (default: 'sse') */
   sseScheme?: string;
+  /**
+   * Tag requests of the default session with the webContents they came from,
+   * for `ctx.window` and `ssr.sendTo()` (default: false). SSE connections of
+   * untracked pages are not closed when their webContents is destroyed or
+   * its renderer crashes, only once a heartbeat fails. This sets the
+   * session's `webRequest.onBeforeSendHeaders` listener, replacing any listener
+   * the app set itself.
+   */
+  trackWindows?: boolean;
+  /**
+   * Broadcasts kept per topic for clients that reconnect with
+   * `Last-Event-ID` (default: 100)
+   */
+  replayBufferSize?: number;
+  /**
+   * Milliseconds between heartbeat comments on open SSE connections, which
+   * also detect connections whose stream was destroyed, or whose page is
+   * gone with `trackWindows`; 0 disables them (default: 15000)
+   */
+  heartbeatInterval?: number;
+  /** Reconnection delay in milliseconds sent to new SSE connections as a `retry:` hint */
+  retry?: number;
+  /** How SSE connections that cannot keep up are handled */
+  backpressure?: SSEBackpressureOptions;
 }
 
+/**
+ * Named params captured from the route pattern, e.g. `{ id: '42' }` for `/notes/:id`
+ */
+export type RouteParams = Record<string, string>;
+
+/**
+ * Query string values; names that appear more than once become arrays
+ */
+export type QueryParams = Record<string, string | string[]>;
+
+/**
+ * Parsed form fields, with `File`s for uploads; repeated fields become arrays
+ */
+export type FormValues = Record<string, FormDataEntryValue | FormDataEntryValue[]>;
+
+/**
+ * Options for the response helpers: a ResponseInit plus a Cache-Control
+ * value (default `no-store`)
+ */
+export interface ResponseOptions extends ResponseInit {
+  cacheControl?: string;
+}
+
+/**
+ * Sources accepted by `ctx.stream()`, including Node.js Readable streams
+ */
+export type StreamSource =
+  | AsyncIterable<string | Uint8Array>
+  | Iterable<string | Uint8Array>
+  | ReadableStream<Uint8Array>;
+
+/**
+ * htmx swap styles, see https://htmx.org/attributes/hx-swap/
+ */
+export type HtmxSwapStyle =
+  | 'innerHTML'
+  | 'outerHTML'
+  | 'textContent'
+  | 'beforebegin'
+  | 'afterbegin'
+  | 'beforeend'
+  | 'afterend'
+  | 'delete'
+  | 'none';
+
+/**
+ * A swap style, optionally followed by modifiers such as `swap:1s` or `scroll:top`
+ */
+export type HtmxSwap = HtmxSwapStyle | `${HtmxSwapStyle} ${string}`;
+
+/**
+ * Target of an `HX-Location` client-side redirect
+ */
+export interface HtmxLocation {
+  path: string;
+  source?: string;
+  event?: string;
+  handler?: string;
+  target?: string;
+  swap?: HtmxSwap;
+  values?: Record<string, unknown>;
+  headers?: Record<string, string>;
+  select?: string;
+}
+
+/**
+ * An htmx out-of-band swap, created with `oob()`
+ */
+export interface OobFragment {
+  selector: string;
+  html: string;
+  swap: HtmxSwapStyle;
+}
+
+/**
+ * How deferred sections are streamed:
+ * - `out-of-order`: the whole page is sent with fallbacks, and each section
+ *   replaces its fallback as soon as it resolves
+ * - `in-order`: the page is sent up to each section, which is waited for
+ *   before the rest of the page follows
+ */
+export type DeferOrder = 'out-of-order' | 'in-order';
+
+/**
+ * Options for `defer()`
+ */
+export interface DeferOptions {
+  /** Shown until the content arrives, when streaming out of order */
+  fallback?: HtmlContent;
+  /**
+   * Shown when the promise rejects. Without it, the error is logged and the
+   * section is left empty, since the response has already started.
+   */
+  error?: HtmlContent | ((error: unknown) => HtmlContent);
+}
+
+/**
+ * Per-request context passed to route handlers
+ */
+export interface RequestContext {
+  request: Request;
+  url: URL;
+  /** Params matched from the route pattern */
+  params: RouteParams;
+  /** Parsed query string */
+  query: QueryParams;
+  /** Request headers */
+  headers: Headers;
+  /** Cookies sent with the request */
+  cookies: Record<string, string>;
+  /** Per-request state shared between middleware and the handler */
+  state: Record<string, any>;
+  /** Headers added to the response, whatever the handler returns */
+  responseHeaders: Headers;
+  /** Read htmx request headers and set htmx response headers */
+  htmx: Htmx;
+  /**
+   * True when the request only wants a fragment (an htmx or Datastar
+   * request), so string responses are sent without their layouts
+   */
+  partial: boolean;
+  /**
+   * Layout for the string this route returns, overriding the inherited
+   * layouts; see `useLayout()`
+   */
+  layout?: LayoutSelection;
+  /** How sections created with `defer()` are streamed (default: `out-of-order`) */
+  deferOrder: DeferOrder;
+  /** Id of the webContents that made the request, when known */
+  webContentsId?: number;
+  /** The webContents that made the request, while it is alive */
+  readonly webContents?: WebContents;
+  /** The window that made the request, while it is open */
+  readonly window?: BrowserWindow;
+  /** Read a request header */
+  header(name: string): string | undefined;
+  /**
+   * Parse the request body according to its Content-Type: JSON values,
+   * `FormValues` for urlencoded and multipart forms, strings for text and
+   * ArrayBuffers otherwise. Malformed bodies are answered with a 400.
+   */
+  body<T = any>(): Promise<T>;
+  /** Respond with HTML */
+  html(body: HtmlContent, options?: ResponseOptions): Response;
+  /** Respond with JSON */
+  json(data: unknown, options?: ResponseOptions): Response;
+  /** Respond with plain text */
+  text(body: string, options?: ResponseOptions): Response;
+  /** Redirect, with a 302 by default */
+  redirect(location: string, status?: number, options?: ResponseOptions): Response;
+  /** Respond with 204 No Content */
+  noContent(options?: ResponseOptions): Response;
+  /** Stream the response body, as HTML unless a Content-Type is given */
+  stream(source: StreamSource, options?: ResponseOptions): Response;
+}
+
+/**
+ * What a route handler returns: a Response, or an HTML fragment (a string, an
+ * `html` template or a JSX element) that is wrapped in the route's layouts
+ * unless the request is partial
+ */
+export type RouteResult = Response | HtmlContent;
+
 /**
  * Route handler for handling HTTP requests
  */
-export type RouteHandler = (request: Request, url: URL) => Promise<Response> | Response;
+export type RouteHandler = (request: Request, url: URL, ctx: RequestContext) => Promise<RouteResult> | RouteResult;
+
+/**
+ * Wraps the HTML fragment returned by a route, e.g. in the document shell
+ * or a section's navigation. The content is SafeHtml, so `html` templates
+ * insert it without escaping.
+ */
+export type Layout = (content: SafeHtml, ctx: RequestContext) => Promise<HtmlContent> | HtmlContent;
+
+/**
+ * Layout chosen for a route: a layout registered by name, a layout
+ * function, or `false` for none
+ */
+export type LayoutSelection = Layout | string | false;
+
+/**
+ * Handler rendering the response for an error thrown while handling a request
+ */
+export type ErrorHandler = (
+  error: Error,
+  request: Request,
+  url: URL,
+  ctx: RequestContext
+) => Promise<Response> | Response;
+
+/**
+ * Runs the rest of the middleware chain and the route handler
+ */
+export type Next = () => Promise<Response>;
+
+/**
+ * Middleware wrapping route handlers, koa/hono-style
+ */
+export type Middleware = (ctx: RequestContext, next: Next) => Promise<Response> | Response;
+
+/**
+ * Route middleware followed by the route handler, e.g. `ssr.get('/admin', requireAuth, handler)`
+ */
+export type RouteHandlers = [...Middleware[], RouteHandler];
+
+/**
+ * A registered route, as reported by `listRoutes()`
+ */
+export interface RouteInfo {
+  method: string;
+  path: string;
+}
+
+/**
+ * Options for removing or replacing routes at runtime
+ */
+export interface RouteChangeOptions {
+  /** Broadcast a `route-removed` SSE event listing the removed routes */
+  notify?: boolean;
+}
+
+/**
+ * Options for serving a directory with `static()`
+ */
+export interface StaticOptions {
+  /** Serve this file for directory requests, `true` meaning `index.html` (default: off) */
+  index?: string | boolean;
+  /** Cache-Control max-age in seconds; without it clients revalidate with the ETag */
+  maxAge?: number;
+  /** Serve files and directories starting with a dot (default: false) */
+  dotfiles?: boolean;
+}
+
+/**
+ * A client-side library served from `/__ssr/vendor/<name>.js`
+ */
+export interface VendorScript {
+  /** File name inside the bundled vendor directory, or an absolute path */
+  file: string;
+  /** Version, used to cache the file for a long time; without it clients revalidate */
+  version?: string;
+  /** Load with `type="module"` */
+  module?: boolean;
+  /** Load with `defer` */
+  defer?: boolean;
+}
 
 /**
- * Action handler for processing actions
+ * Action handler for processing actions, called with the parsed request body
  */
-export type ActionHandler = (request: Request, url: URL, body: any) => Promise<Response> | Response;
+export type ActionHandler<T = any> = (
+  request: Request,
+  url: URL,
+  body: T,
+  ctx: RequestContext
+) => Promise<RouteResult> | RouteResult;
+
+/**
+ * Options for sending a server-sent event
+ */
+export interface SSESendOptions {
+  /** Event id, sent back by the client as `Last-Event-ID` when it reconnects */
+  id?: string | number;
+  /** Milliseconds the client waits before reconnecting */
+  retry?: number;
+}
 
 /**
  * SSE Connection interface
@@ -29,4 +313,134 @@ export type ActionHandler = (request: Request, url: URL, body: any) => Promise<R
 export interface SSEConnection {
   stream: PassThrough;
   request: Request;
-} 
\ No newline at end of file
+  /** True once the connection is closed */
+  readonly closed: boolean;
+  /** When the connection was opened, in milliseconds since the epoch */
+  readonly connectedAt: number;
+  /** Id of the webContents that opened the connection, when known */
+  readonly webContentsId?: number;
+  /** Id of the last event the client received, when it reconnects */
+  readonly lastEventId?: number;
+  /** The webContents that opened the connection, while it is alive */
+  readonly webContents?: WebContents;
+  /** The window that opened the connection, while it is open */
+  readonly window?: BrowserWindow;
+  /** Topics the connection is subscribed to */
+  readonly topics: ReadonlySet<string>;
+  /** Subscribe to topics; `*` matches one `/`-separated segment and `**` several */
+  subscribe(...topics: string[]): SSEConnection;
+  /** Unsubscribe from topics */
+  unsubscribe(...topics: string[]): SSEConnection;
+  /** Check whether `broadcastTo(topic)` reaches this connection */
+  isSubscribed(topic: string): boolean;
+  /** Send an event; data that isn't HTML is sent as JSON */
+  send(event: string | null, data: unknown, options?: SSESendOptions): boolean;
+  /** Send a comment line */
+  comment(text?: string): boolean;
+  /** Write an already formatted frame, queueing it while the client is behind */
+  write(frame: string): boolean;
+  /** Backpressure state of the connection */
+  readonly metrics: SSEConnectionMetrics;
+  /** Change the high-water mark or overflow policy of this connection */
+  setBackpressure(options: SSEBackpressureOptions): SSEConnection;
+  /** Close the connection */
+  close(): void;
+  /** Run a listener when the connection closes */
+  onClose(listener: () => void): () => void;
+}
+
+/**
+ * What happens to frames for a connection whose queue is over its high-water mark:
+ * - `drop-oldest`: discard the oldest queued frames
+ * - `coalesce`: keep only the newest queued frame of each event name, then
+ *   discard the oldest frames if that is not enough
+ * - `disconnect`: close the connection; the client reconnects and catches up
+ *   through `Last-Event-ID` replay or a `resync` event
+ */
+export type SSEOverflowPolicy = 'drop-oldest' | 'coalesce' | 'disconnect';
+
+/**
+ * Backpressure settings for SSE connections
+ */
+export interface SSEBackpressureOptions {
+  /**
+   * Bytes the stream buffers before frames are queued, and bytes queued
+   * before the overflow policy applies (default: 65536)
+   */
+  highWaterMark?: number;
+  /** What to do when the queue is over its high-water mark (default: `drop-oldest`) */
+  overflow?: SSEOverflowPolicy;
+}
+
+/**
+ * Reported to `ssr.onBackpressure()` when a connection falls behind, loses
+ * frames, is disconnected or catches up again
+ */
+export interface SSEBackpressureEvent {
+  connection: SSEConnection;
+  type: 'behind' | 'dropped' | 'coalesced' | 'disconnected' | 'recovered';
+  /** Frames discarded by this event */
+  frames: number;
+  /** Frames waiting for the client after this event */
+  queuedFrames: number;
+  /** Bytes waiting for the client after this event */
+  queuedBytes: number;
+}
+
+/**
+ * Backpressure state of one SSE connection
+ */
+export interface SSEConnectionMetrics {
+  queuedFrames: number;
+  queuedBytes: number;
+  /** Frames discarded by `drop-oldest`, or by `coalesce` when coalescing was not enough */
+  droppedFrames: number;
+  /** Frames replaced by a newer frame of the same event */
+  coalescedFrames: number;
+  /** When the client fell behind, or null while it keeps up */
+  behindSince: number | null;
+}
+
+/**
+ * Options for `ssr.broadcastLatest()`
+ */
+export interface BroadcastLatestOptions {
+  /** Maximum frames per second (default: 30) */
+  fps?: number;
+  /** Event name (default: the key) */
+  event?: string;
+  /** Only send to connections subscribed to this topic */
+  topic?: string;
+}
+
+/**
+ * Counts of SSE connections, from `ssr.sseStats()`
+ */
+export interface SSEStats {
+  /** Open connections */
+  active: number;
+  /** Connections opened since the app started */
+  opened: number;
+  /** Connections closed since the app started, including reaped ones */
+  closed: number;
+  /** Connections closed because their page was destroyed, crashed or stopped reading */
+  reaped: number;
+  /** Open connections per subscribed topic */
+  topics: Record<string, number>;
+  /** Open connections per webContents id */
+  webContents: Record<number, number>;
+  /** Open connections that are not keeping up */
+  behind: number;
+  /** Frames dropped for slow connections since the app started */
+  droppedFrames: number;
+  /** Frames coalesced for slow connections since the app started */
+  coalescedFrames: number;
+  /** Connections closed by the `disconnect` overflow policy */
+  disconnected: number;
+}
+
+/**
+ * Handler for an event stream route registered with `ssr.sse()`. The
+ * connection stays open until the client leaves or `channel.close()` is called.
+ */
+export type SSEHandler = (channel: SSEConnection, ctx: RequestContext) => void | Promise<void>; 
\ No newline at end of file
@@ -0,0 +1,48 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { VendorScript } from './types';
+import { escapeHtml } from './html';
+
+/**
+ * Reserved path the vendor scripts are served from
+ */
+export const VENDOR_PREFIX = '/__ssr/vendor';
+
+/**
+ * Offline copies bundled into dist/vendor at build time (see vite.vendor.config.ts).
+ *
+ * Datastar is pinned to 1.0.0-beta.11, the release whose SSE events are
+ * `datastar-merge-fragments`, `datastar-merge-signals` and friends, as
+ * produced by the `datastar*` helpers. Later releases renamed these events.
+ *
+ * The order matters for `vendorScripts()`: Alpine plugins must load before
+ * Alpine itself, and the htmx SSE extension after htmx.
+ */
+export const VENDOR_SCRIPTS: Record<string, VendorScript> = {
+  'htmx': { file: 'htmx.js', version: '2.0.4' },
+  'htmx-sse': { file: 'htmx-sse.js', version: '2.2.4' },
+  'alpine-morph': { file: 'alpine-morph.js', version: '3.14.8', defer: true },
+  'alpine': { file: 'alpine.js', version: '3.14.8', defer: true },
+  'datastar': { file: 'datastar.js', version: '1.0.0-beta.11', module: true },
+};
+
+/**
+ * Directory holding the bundled vendor scripts, next to the built library
+ */
+export function bundledVendorDir(): string {
+  return path.join(path.dirname(fileURLToPath(import.meta.url)), 'vendor');
+}
+
+/**
+ * Render the `<script>` tag for a vendor script. The version is added to the
+ * URL so the long-lived cache is busted when a copy is upgraded.
+ */
+export function vendorScriptTag(name: string, script: VendorScript): string {
+  const version = script.version ? `?v=${encodeURIComponent(script.version)}` : '';
+  const src = escapeHtml(`${VENDOR_PREFIX}/${encodeURIComponent(name)}.js${version}`);
+  const attributes = [
+    script.module ? ' type="module"' : '',
+    script.defer ? ' defer' : '',
+  ].join('');
+  return `<script${attributes} src="${src}"></script>`;
+}
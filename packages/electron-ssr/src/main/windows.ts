@@ -0,0 +1,106 @@
+import { BrowserWindow, OnBeforeSendHeadersListenerDetails, Session, WebContents, webContents } from 'electron';
+import { randomUUID } from 'crypto';
+
+/**
+ * Request header carrying the id of the webContents a request came from.
+ * `protocol.handle` does not say which page made a request, so it is added
+ * by a `webRequest` listener on the session.
+ */
+export const WEB_CONTENTS_HEADER = 'X-SSR-WebContents-Id';
+
+/**
+ * Secret sent along with the id. Pages of sessions that are not tracked can
+ * send the header themselves, so only values set by `withWebContentsId()`
+ * in this process are trusted.
+ */
+const HEADER_TOKEN: string = randomUUID();
+
+/**
+ * A window or page that requests and connections can be matched against
+ */
+export type WindowTarget = BrowserWindow | WebContents | number;
+
+/**
+ * Set the webContents header on a request to one of the given schemes,
+ * replacing any value sent by the page itself. Returns the request headers
+ * to pass to the `onBeforeSendHeaders` callback.
+ *
+ * Electron allows one `onBeforeSendHeaders` listener per session, so an app
+ * with its own listener can call this from it:
+ *
+ * ```javascript
+ * session.defaultSession.webRequest.onBeforeSendHeaders((details, callback) => {
+ *   callback({ requestHeaders: withWebContentsId(details, ['http', 'sse']) });
+ * });
+ * ```
+ */
+export function withWebContentsId(
+  details: OnBeforeSendHeadersListenerDetails,
+  schemes: string[]
+): Record<string, string> {
+  const requestHeaders: Record<string, string> = {};
+  for (const [name, value] of Object.entries(details.requestHeaders)) {
+    if (name.toLowerCase() !== WEB_CONTENTS_HEADER.toLowerCase()) {
+      requestHeaders[name] = value;
+    }
+  }
+
+  const scheme = details.url.slice(0, details.url.indexOf(':')).toLowerCase();
+  if (details.webContentsId !== undefined && schemes.includes(scheme)) {
+    requestHeaders[WEB_CONTENTS_HEADER] = `${details.webContentsId}:${HEADER_TOKEN}`;
+  }
+  return requestHeaders;
+}
+
+/**
+ * Tag requests of a session to the given schemes with their webContents id.
+ * The listener is limited to those schemes, so other requests are not
+ * delayed by it.
+ */
+export function trackWebContents(session: Session, schemes: string[]): void {
+  const filter = { urls: schemes.map(scheme => `${scheme}://*/*`) };
+  session.webRequest.onBeforeSendHeaders(filter, (details, callback) => {
+    callback({ requestHeaders: withWebContentsId(details, schemes) });
+  });
+}
+
+/**
+ * Read the webContents id a request came from, if it was tagged by a
+ * tracked session. Values without the secret were sent by the page itself
+ * and are ignored.
+ */
+export function webContentsIdFromHeaders(headers: Headers): number | undefined {
+  const [value, token] = (headers.get(WEB_CONTENTS_HEADER) ?? '').split(':');
+  const id = token === HEADER_TOKEN ? Number(value) : NaN;
+  return Number.isInteger(id) ? id : undefined;
+}
+
+/**
+ * Find a live webContents by id
+ */
+export function findWebContents(id: number | undefined): WebContents | undefined {
+  if (id === undefined) {
+    return undefined;
+  }
+  const contents = webContents.fromId(id);
+  return contents && !contents.isDestroyed() ? contents : undefined;
+}
+
+/**
+ * Find the window showing a webContents, if it is still open
+ */
+export function findWindow(id: number | undefined): BrowserWindow | undefined {
+  const contents = findWebContents(id);
+  const window = contents ? BrowserWindow.fromWebContents(contents) : null;
+  return window && !window.isDestroyed() ? window : undefined;
+}
+
+/**
+ * Get the webContents id of a window, a webContents or an id
+ */
+export function webContentsIdOf(target: WindowTarget): number {
+  if (typeof target === 'number') {
+    return target;
+  }
+  return target instanceof BrowserWindow ? target.webContents.id : target.id;
+}
@@ -5,18 +5,27 @@ import dts from 'vite-plugin-dts';
 export default defineConfig({
   build: {
     lib: {
-      entry: resolve(__dirname, 'src/index.ts'),
+      entry: {
+        'index': resolve(__dirname, 'src/index.ts'),
+        'jsx-runtime': resolve(__dirname, 'src/jsx-runtime.ts'),
+        'jsx-dev-runtime': resolve(__dirname, 'src/jsx-dev-runtime.ts'),
+      },
       name: 'ElectronSSR',
-      fileName: (format) => format === 'cjs' ? 'index.js' : `index.${format}.js`,
+      fileName: (format, entryName) => format === 'cjs' ? `${entryName}.js` : `${entryName}.${format}.js`,
       formats: ['es', 'cjs'],
     },
     rollupOptions: {
-      external: ['electron', 'stream'],
+      external: ['electron', 'stream', 'fs', 'path', 'url', 'async_hooks', 'crypto'],
       output: {
         exports: "named",
         globals: {
           electron: 'electron',
           stream: 'stream',
+          fs: 'fs',
+          path: 'path',
+          url: 'url',
+          async_hooks: 'async_hooks',
+          crypto: 'crypto',
         },
       },
     },
@@ -0,0 +1,54 @@
+import { defineConfig, Plugin } from 'vite';
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Browser-ready scripts copied as-is into dist/vendor.
+ * Keep in sync with VENDOR_SCRIPTS in src/main/vendor.ts.
+ */
+const copiedScripts: Record<string, string> = {
+  'htmx.js': 'htmx.org/dist/htmx.min.js',
+  'htmx-sse.js': 'htmx-ext-sse/dist/sse.min.js',
+  'alpine.js': 'alpinejs/dist/cdn.min.js',
+  'alpine-morph.js': '@alpinejs/morph/dist/cdn.min.js',
+};
+
+/**
+ * Emit the browser-ready scripts next to the Datastar bundle
+ */
+function copyVendorScripts(): Plugin {
+  return {
+    name: 'copy-vendor-scripts',
+    generateBundle() {
+      for (const [fileName, source] of Object.entries(copiedScripts)) {
+        this.emitFile({
+          type: 'asset',
+          fileName,
+          source: readFileSync(require.resolve(source)),
+        });
+      }
+    },
+  };
+}
+
+/**
+ * Builds the offline copies served from /__ssr/vendor. Datastar only ships
+ * unbundled ES modules on npm, so it is bundled into a single file here.
+ */
+export default defineConfig({
+  build: {
+    lib: {
+      // The package only exports its bundles under the `import` condition
+      entry: { datastar: fileURLToPath(import.meta.resolve('@starfederation/datastar/bundles/datastar')) },
+      formats: ['es'],
+      fileName: (_format, name) => `${name}.js`,
+    },
+    outDir: resolve(__dirname, 'dist/vendor'),
+    emptyOutDir: true,
+  },
+  plugins: [copyVendorScripts()],
+});